@@ -0,0 +1,63 @@
+// src/animation-processor.js
+
+export const TRANSITIONS = ['fade', 'push', 'wipe', 'cover', 'split', 'zoom', 'dissolve', 'cut'];
+export const ANIMATION_EFFECTS = ['appear', 'fade', 'fly-in', 'wipe', 'zoom'];
+const TRIGGERS = ['click', 'with', 'after'];
+const DIRECTIONS = { left: 'l', right: 'r', up: 'u', down: 'd' };
+
+/**
+ * Reads the transition of a slide root: `data-pptx-transition="fade|push|wipe|..."` with
+ * optional `data-pptx-transition-duration` (ms) and `data-pptx-transition-direction`
+ * (left, right, up, down).
+ * @returns {{ type: string, duration: number, direction: string } | null}
+ */
+export function getSlideTransition(root) {
+  const type = (root.getAttribute('data-pptx-transition') || '').trim().toLowerCase();
+  if (!type || type === 'none') return null;
+  if (!TRANSITIONS.includes(type)) {
+    console.warn(`Unknown slide transition "${type}", expected one of ${TRANSITIONS.join(', ')}.`);
+    return null;
+  }
+
+  const direction = (root.getAttribute('data-pptx-transition-direction') || '').toLowerCase();
+  return {
+    type,
+    duration: parseMilliseconds(root.getAttribute('data-pptx-transition-duration'), 700),
+    direction: DIRECTIONS[direction] || (type === 'push' ? 'u' : 'l'),
+  };
+}
+
+/**
+ * Reads the entrance animation of an element: `data-pptx-animate="fade|fly-in|wipe|zoom|appear"`
+ * with optional `data-pptx-animate-order` (build order on the slide, DOM order breaks ties),
+ * `-delay` and `-duration` (ms) and `-trigger` (`after` the previous build, the default, `with`
+ * it, or on `click`).
+ * @returns {{ effect: string, order: number, delay: number, duration: number, trigger: string } | null}
+ */
+export function getElementAnimation(node) {
+  const effect = (node.getAttribute('data-pptx-animate') || '').trim().toLowerCase();
+  if (!effect) return null;
+  if (!ANIMATION_EFFECTS.includes(effect)) {
+    console.warn(`Unknown animation "${effect}", expected one of ${ANIMATION_EFFECTS.join(', ')}.`);
+    return null;
+  }
+
+  const order = parseFloat(node.getAttribute('data-pptx-animate-order'));
+  const trigger = (node.getAttribute('data-pptx-animate-trigger') || '').toLowerCase();
+  return {
+    effect,
+    order: isNaN(order) ? Infinity : order,
+    delay: parseMilliseconds(node.getAttribute('data-pptx-animate-delay'), 0),
+    duration: parseMilliseconds(node.getAttribute('data-pptx-animate-duration'), 500),
+    trigger: TRIGGERS.includes(trigger) ? trigger : 'after',
+  };
+}
+
+/**
+ * Accepts plain milliseconds or CSS times (`300ms`, `0.5s`).
+ */
+function parseMilliseconds(value, fallback) {
+  const number = parseFloat(value);
+  if (isNaN(number) || number < 0) return fallback;
+  return Math.round(/\ds\s*$/.test(value) && !/ms\s*$/.test(value) ? number * 1000 : number);
+}
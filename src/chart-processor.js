@@ -0,0 +1,230 @@
+// src/chart-processor.js
+import { parseColor } from './utils.js';
+
+const CHART_TYPES = ['area', 'bar', 'bubble', 'doughnut', 'line', 'pie', 'radar', 'scatter'];
+const LEGEND_POSITIONS = { top: 't', bottom: 'b', left: 'l', right: 'r' };
+// Charts without a category axis, which PowerPoint can't combine with the others
+const ROUND_TYPES = ['pie', 'doughnut'];
+
+/**
+ * Reads a chart spec from the `data-pptx-chart` attribute:
+ * `{ type, labels, series: [{ name, values, color?, type?, sizes? }], colors?, title?,
+ *    legend?, stacked?, horizontal?, fontSize?, options? }`.
+ * `options` is passed to `slide.addChart` as is.
+ */
+export const jsonChartAdapter = {
+  name: 'json',
+  match: (el) => el.hasAttribute('data-pptx-chart'),
+  getChart(el) {
+    try {
+      return JSON.parse(el.getAttribute('data-pptx-chart'));
+    } catch (e) {
+      console.warn('Invalid data-pptx-chart JSON, rendering the element instead', el, e);
+      return null;
+    }
+  },
+};
+
+/**
+ * Creates an adapter that reads Chart.js (v3+) instances drawn on `<canvas>` elements.
+ * @param {Function} [Chart] - The Chart.js constructor. Defaults to `window.Chart`, so
+ *   bundled builds should pass their import.
+ */
+export function createChartJsAdapter(Chart) {
+  const getInstance = (el) => {
+    const ChartJs = Chart || (typeof window !== 'undefined' ? window.Chart : null);
+    if (!ChartJs || typeof ChartJs.getChart !== 'function') return null;
+    return ChartJs.getChart(el) || null;
+  };
+
+  return {
+    name: 'chartjs',
+    match: (el) => el.tagName === 'CANVAS' && !!getInstance(el),
+    getChart: (el) => chartJsToSpec(getInstance(el)),
+  };
+}
+
+export const DEFAULT_CHART_ADAPTERS = [jsonChartAdapter, createChartJsAdapter()];
+
+function chartJsToSpec(chart) {
+  if (!chart) return null;
+  const { type, options = {} } = chart.config;
+  const data = chart.data || {};
+  const plugins = options.plugins || {};
+  const isRound = type === 'pie' || type === 'doughnut';
+
+  const datasets = (data.datasets || []).filter((dataset, i) =>
+    typeof chart.isDatasetVisible === 'function' ? chart.isDatasetVisible(i) : !dataset.hidden
+  );
+  const scatterLike = type === 'scatter' || type === 'bubble';
+  const firstPoints = datasets.length ? datasets[0].data || [] : [];
+
+  const series = datasets.map((dataset) => {
+    const datasetType = dataset.type || type;
+    const paint = datasetType === 'line' ? dataset.borderColor : dataset.backgroundColor;
+    const points = dataset.data || [];
+    return {
+      name: dataset.label || '',
+      values: points.map((p) => (p !== null && typeof p === 'object' ? p.y : p)),
+      sizes: type === 'bubble' ? points.map((p) => (p && p.r) || 1) : undefined,
+      type: datasetType === 'line' && dataset.fill ? 'area' : datasetType,
+      color: Array.isArray(paint) ? paint[0] : paint,
+    };
+  });
+
+  const scales = options.scales || {};
+  const legend = plugins.legend || {};
+  const title = plugins.title || {};
+  const cutout = parseFloat(options.cutout);
+
+  return {
+    type,
+    labels: scatterLike
+      ? firstPoints.map((p) => (p && typeof p === 'object' ? p.x : p))
+      : data.labels,
+    series,
+    colors: isRound && datasets.length ? [].concat(datasets[0].backgroundColor || []) : undefined,
+    title: title.display ? [].concat(title.text).join(' ') : undefined,
+    legend: legend.display === false ? false : legend.position || 'top',
+    stacked: Object.values(scales).some((scale) => scale && scale.stacked),
+    horizontal: options.indexAxis === 'y',
+    fontSize: chart.options?.font?.size || 12,
+    options: type === 'doughnut' && !isNaN(cutout) ? { holeSize: cutout } : undefined,
+  };
+}
+
+/**
+ * Asks each adapter (in order) for a chart spec of the element.
+ * @returns {Object | null} - The first valid spec.
+ */
+export function getChartSpec(el, adapters) {
+  for (const adapter of adapters || []) {
+    try {
+      if (!adapter.match(el)) continue;
+      const spec = normalizeChartSpec(adapter.getChart(el));
+      if (spec) return spec;
+    } catch (e) {
+      console.warn(`Chart adapter "${adapter.name || 'custom'}" failed for`, el, e);
+    }
+  }
+  return null;
+}
+
+function normalizeChartSpec(spec) {
+  if (!spec || !CHART_TYPES.includes(spec.type)) return null;
+  const series = (spec.series || []).filter((s) => s && Array.isArray(s.values));
+  if (series.length === 0) return null;
+
+  const length = Math.max(...series.map((s) => s.values.length));
+  const labels = Array.isArray(spec.labels)
+    ? spec.labels.map((label) => [].concat(label).join(' '))
+    : Array.from({ length }, (_, i) => String(i + 1));
+
+  return {
+    ...spec,
+    labels,
+    series: series.map((s, i) => ({
+      ...s,
+      name: s.name || `Series ${i + 1}`,
+      values: s.values.map((v) => (typeof v === 'number' ? v : parseFloat(v) || 0)),
+      type: CHART_TYPES.includes(s.type) ? s.type : spec.type,
+    })),
+  };
+}
+
+/**
+ * Builds the render item for `slide.addChart`. Series of different types (e.g. bars with a
+ * line overlay) become a combo chart.
+ * @param {Object} spec - Normalized chart spec.
+ * @param {{ x: number, y: number, w: number, h: number }} box - Position in inches.
+ * @param {PptxGenJS} pptx - For chart types.
+ * @param {number} scale - Layout scale (for font sizes).
+ */
+export function createChartItem(spec, box, pptx, scale) {
+  const fontSize = (spec.fontSize || 12) * 0.75 * scale;
+  const toHex = (color) => (color && parseColor(color).hex) || null;
+  const isRound = spec.type === 'pie' || spec.type === 'doughnut';
+
+  const seriesColors = spec.series.map((s) => toHex(s.color));
+  const pointColors = (spec.colors || []).map(toHex).filter(Boolean);
+  const chartColors = isRound ? pointColors : seriesColors.filter(Boolean);
+
+  const options = {
+    ...box,
+    showLegend: spec.legend !== false,
+    legendPos: LEGEND_POSITIONS[spec.legend] || 'b',
+    legendFontSize: fontSize,
+    catAxisLabelFontSize: fontSize,
+    valAxisLabelFontSize: fontSize,
+    showTitle: !!spec.title,
+    title: spec.title || undefined,
+    titleFontSize: fontSize * 1.2,
+    barDir: spec.horizontal ? 'bar' : 'col',
+    barGrouping: spec.stacked ? 'stacked' : 'clustered',
+    ...(isRound ? { showPercent: false, showValue: false } : {}),
+    ...(spec.type === 'doughnut' ? { holeSize: 50 } : {}),
+    ...spec.options,
+  };
+  // Missing colors would shift the palette between series, so only use a complete list
+  if (chartColors.length === (isRound ? spec.labels.length : spec.series.length)) {
+    options.chartColors = chartColors;
+  }
+
+  let chartType = spec.type;
+  let chartSeries = spec.series;
+  let types = [...new Set(chartSeries.map((s) => s.type))];
+  const canCombine = !isRound && spec.type !== 'scatter' && spec.type !== 'bubble';
+  if (types.length > 1 && canCombine && types.some((type) => ROUND_TYPES.includes(type))) {
+    const dropped = types.filter((type) => ROUND_TYPES.includes(type));
+    types = types.filter((type) => !ROUND_TYPES.includes(type));
+    console.warn(
+      `Chart series of type ${dropped.join(', ')} can't be combined with ${types.join(', ')} series, leaving them out.`
+    );
+    chartSeries = chartSeries.filter((s) => !ROUND_TYPES.includes(s.type));
+    if (options.chartColors === chartColors) {
+      options.chartColors = seriesColors.filter((color, i) => chartSeries.includes(spec.series[i]));
+    }
+  }
+  // Series all of one type (e.g. filled Chart.js lines, which become areas) set the chart type
+  if (types.length === 1) chartType = types[0];
+
+  if (types.length > 1 && canCombine) {
+    const combo = types.map((type) => {
+      const series = chartSeries.filter((s) => s.type === type);
+      const colors = series.map((s) => toHex(s.color));
+      return {
+        type: pptx.ChartType[type],
+        data: toChartData(spec, series),
+        options: {
+          barDir: options.barDir,
+          barGrouping: options.barGrouping,
+          ...(colors.every(Boolean) ? { chartColors: colors } : {}),
+        },
+      };
+    });
+    return { type: 'chart', chartType: combo, data: null, options };
+  }
+
+  return {
+    type: 'chart',
+    chartType: pptx.ChartType[chartType],
+    data: toChartData(spec, chartSeries),
+    options,
+  };
+}
+
+function toChartData(spec, series) {
+  if (spec.type === 'scatter' || spec.type === 'bubble') {
+    // PptxGenJS reads the X values from the first entry
+    const xValues = { name: 'X', values: spec.labels.map((v) => parseFloat(v) || 0) };
+    return [
+      xValues,
+      ...series.map((s) => ({
+        name: s.name,
+        values: s.values,
+        ...(spec.type === 'bubble' ? { sizes: s.sizes || s.values.map(() => 1) } : {}),
+      })),
+    ];
+  }
+  return series.map((s) => ({ name: s.name, labels: spec.labels, values: s.values }));
+}
@@ -0,0 +1,428 @@
+// src/clip-path.js
+
+// Control point distance for quarter-ellipse cubic Béziers
+const KAPPA = 0.5522847498;
+const SHAPE_RE = /^(inset|circle|ellipse|polygon|path)\((.*)\)/is;
+
+/**
+ * Parses a computed `clip-path` basic shape into path commands in px, relative to the
+ * element's border box. `url()` references and bare reference boxes return null.
+ * @param {string} value - Computed `clip-path`.
+ * @param {number} w - Border-box width in px.
+ * @param {number} h - Border-box height in px.
+ * @returns {Array<Object> | null} - Commands `{ type: 'M' | 'L', x, y }`,
+ *   `{ type: 'C', x1, y1, x2, y2, x, y }`, `{ type: 'Q', x1, y1, x, y }` and `{ type: 'Z' }`.
+ */
+export function parseClipPath(value, w, h) {
+  if (!value || value === 'none') return null;
+  const match = value.trim().match(SHAPE_RE);
+  if (!match) return null;
+
+  const [, fn, args] = match;
+  try {
+    let commands = null;
+    if (fn === 'inset') commands = parseInset(args, w, h);
+    if (fn === 'circle') commands = parseEllipse(args, w, h, true);
+    if (fn === 'ellipse') commands = parseEllipse(args, w, h, false);
+    if (fn === 'polygon') commands = parsePolygon(args, w, h);
+    if (fn === 'path') commands = parsePathArg(args);
+    return commands && commands.length > 1 ? commands : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Serializes path commands to SVG path data (also accepted by canvas `Path2D`).
+ */
+export function toSvgPathData(commands) {
+  return commands
+    .map((c) => {
+      if (c.type === 'Z') return 'Z';
+      if (c.type === 'C') return `C ${c.x1} ${c.y1} ${c.x2} ${c.y2} ${c.x} ${c.y}`;
+      if (c.type === 'Q') return `Q ${c.x1} ${c.y1} ${c.x} ${c.y}`;
+      return `${c.type} ${c.x} ${c.y}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Converts path commands to PptxGenJS custom geometry points (inches, relative to the shape).
+ * @param {Array<Object>} commands - Output of `parseClipPath`.
+ * @param {number} inchX - Inches per px horizontally.
+ * @param {number} inchY - Inches per px vertically.
+ */
+export function toCustomGeometry(commands, inchX, inchY) {
+  return commands.map((c) => {
+    if (c.type === 'Z') return { close: true };
+    const point = { x: c.x * inchX, y: c.y * inchY };
+    if (c.type === 'M') point.moveTo = true;
+    if (c.type === 'C') {
+      point.curve = {
+        type: 'cubic',
+        x1: c.x1 * inchX,
+        y1: c.y1 * inchY,
+        x2: c.x2 * inchX,
+        y2: c.y2 * inchY,
+      };
+    }
+    if (c.type === 'Q') point.curve = { type: 'quadratic', x1: c.x1 * inchX, y1: c.y1 * inchY };
+    return point;
+  });
+}
+
+function resolveLength(token, size) {
+  if (token.endsWith('%')) return (parseFloat(token) / 100) * size;
+  const value = parseFloat(token);
+  if (isNaN(value)) throw new Error(`Unsupported length "${token}"`);
+  return value;
+}
+
+// Splits on whitespace outside of parentheses (calc() is not resolved, but must not break)
+function splitTokens(str) {
+  return str.match(/(?:[^\s(]+|\([^)]*\))+/g) || [];
+}
+
+/**
+ * `inset(<top> <right> <bottom> <left> round <radii>)`
+ */
+function parseInset(args, w, h) {
+  const [offsets, round] = args.split(/\s+round\s+/);
+  const [t, r = t, b = t, l = r] = splitTokens(offsets);
+  const top = resolveLength(t, h);
+  const right = resolveLength(r, w);
+  const bottom = resolveLength(b, h);
+  const left = resolveLength(l, w);
+  const boxW = w - left - right;
+  const boxH = h - top - bottom;
+  if (boxW <= 0 || boxH <= 0) return null;
+
+  let radii = [0, 0, 0, 0];
+  if (round) {
+    // Elliptical radii ("a / b") are approximated by their horizontal part
+    const [tl, tr = tl, br = tl, bl = tr] = splitTokens(round.split('/')[0]);
+    radii = [tl, tr, br, bl].map((token) => resolveLength(token, Math.min(boxW, boxH)));
+  }
+  const factor = Math.min(
+    1,
+    boxW / (radii[0] + radii[1]) || Infinity,
+    boxH / (radii[1] + radii[2]) || Infinity,
+    boxW / (radii[2] + radii[3]) || Infinity,
+    boxH / (radii[3] + radii[0]) || Infinity
+  );
+  const [tl, tr, br, bl] = radii.map((radius) => radius * factor);
+  const x0 = left;
+  const y0 = top;
+  const x1 = left + boxW;
+  const y1 = top + boxH;
+
+  const commands = [
+    { type: 'M', x: x0 + tl, y: y0 },
+    { type: 'L', x: x1 - tr, y: y0 },
+  ];
+  if (tr > 0) commands.push(corner(x1 - tr, y0, x1, y0 + tr, x1, y0));
+  commands.push({ type: 'L', x: x1, y: y1 - br });
+  if (br > 0) commands.push(corner(x1, y1 - br, x1 - br, y1, x1, y1));
+  commands.push({ type: 'L', x: x0 + bl, y: y1 });
+  if (bl > 0) commands.push(corner(x0 + bl, y1, x0, y1 - bl, x0, y1));
+  commands.push({ type: 'L', x: x0, y: y0 + tl });
+  if (tl > 0) commands.push(corner(x0, y0 + tl, x0 + tl, y0, x0, y0));
+  commands.push({ type: 'Z' });
+  return commands;
+}
+
+// Quarter-circle from (sx, sy) to (ex, ey) bending towards the box corner (cx, cy)
+function corner(sx, sy, ex, ey, cx, cy) {
+  return {
+    type: 'C',
+    x1: sx + (cx - sx) * KAPPA,
+    y1: sy + (cy - sy) * KAPPA,
+    x2: ex + (cx - ex) * KAPPA,
+    y2: ey + (cy - ey) * KAPPA,
+    x: ex,
+    y: ey,
+  };
+}
+
+/**
+ * `circle(<radius> at <position>)` and `ellipse(<rx> <ry> at <position>)`.
+ */
+function parseEllipse(args, w, h, isCircle) {
+  const [radiusPart, positionPart] = args.split(/\s*\bat\b\s*/);
+  const { x: cx, y: cy } = parsePosition(splitTokens(positionPart || ''), w, h);
+  const tokens = splitTokens(radiusPart || '');
+
+  const resolveRadius = (token, center, size) => {
+    if (!token || token === 'closest-side') return Math.min(center, size - center);
+    if (token === 'farthest-side') return Math.max(center, size - center);
+    return resolveLength(token, size);
+  };
+
+  let rx;
+  let ry;
+  if (isCircle) {
+    const token = tokens[0];
+    if (!token || token === 'closest-side' || token === 'farthest-side') {
+      const pick = token === 'farthest-side' ? Math.max : Math.min;
+      rx = pick(cx, w - cx, cy, h - cy);
+    } else {
+      // Percentages refer to the normalized diagonal of the reference box
+      rx = resolveLength(token, Math.hypot(w, h) / Math.SQRT2);
+    }
+    ry = rx;
+  } else {
+    rx = resolveRadius(tokens[0], cx, w);
+    ry = resolveRadius(tokens[1], cy, h);
+  }
+  if (rx <= 0 || ry <= 0) return null;
+
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    { type: 'M', x: cx + rx, y: cy },
+    { type: 'C', x1: cx + rx, y1: cy + ky, x2: cx + kx, y2: cy + ry, x: cx, y: cy + ry },
+    { type: 'C', x1: cx - kx, y1: cy + ry, x2: cx - rx, y2: cy + ky, x: cx - rx, y: cy },
+    { type: 'C', x1: cx - rx, y1: cy - ky, x2: cx - kx, y2: cy - ry, x: cx, y: cy - ry },
+    { type: 'C', x1: cx + kx, y1: cy - ry, x2: cx + rx, y2: cy - ky, x: cx + rx, y: cy },
+    { type: 'Z' },
+  ];
+}
+
+/**
+ * Resolves a `<position>` (defaults to center). Handles keywords, lengths and edge offsets
+ * (`right 10px bottom 20%`).
+ */
+function parsePosition(tokens, w, h) {
+  const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+  if (tokens.length === 0) return { x: w / 2, y: h / 2 };
+
+  if (tokens.length === 4) {
+    const pos = {};
+    for (let i = 0; i < 4; i += 2) {
+      const edge = tokens[i];
+      const isX = edge === 'left' || edge === 'right';
+      const size = isX ? w : h;
+      const offset = resolveLength(tokens[i + 1], size);
+      pos[isX ? 'x' : 'y'] = edge === 'right' || edge === 'bottom' ? size - offset : offset;
+    }
+    return pos;
+  }
+
+  let [first, second = 'center'] = tokens;
+  // Vertical keyword first ("top left")
+  if (first === 'top' || first === 'bottom' || second === 'left' || second === 'right') {
+    [first, second] = [second, first];
+  }
+  const resolve = (token, size) =>
+    token in keywords ? (keywords[token] / 100) * size : resolveLength(token, size);
+  return { x: resolve(first, w), y: resolve(second, h) };
+}
+
+/**
+ * `polygon([<fill-rule>,] <x> <y>, ...)`
+ */
+function parsePolygon(args, w, h) {
+  const points = args
+    .split(',')
+    .map((point) => point.trim())
+    .filter((point) => point && point !== 'nonzero' && point !== 'evenodd');
+
+  const commands = points.map((point, i) => {
+    const [x, y] = splitTokens(point);
+    return { type: i === 0 ? 'M' : 'L', x: resolveLength(x, w), y: resolveLength(y, h) };
+  });
+  commands.push({ type: 'Z' });
+  return commands;
+}
+
+/**
+ * `path([<fill-rule>,] "<svg path data>")`
+ */
+function parsePathArg(args) {
+  const data = args.match(/(["'])(.*)\1/s);
+  return data ? parseSvgPath(data[2]) : null;
+}
+
+/**
+ * Normalizes SVG path data to absolute M/L/C/Q/Z commands (arcs become cubic Béziers).
+ */
+function parseSvgPath(d) {
+  const tokens = d.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g);
+  if (!tokens) return null;
+
+  const commands = [];
+  let i = 0;
+  let cmd = '';
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  const next = () => parseFloat(tokens[i++]);
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    const prevControl = lastControl;
+    lastControl = null;
+
+    switch (cmd.toUpperCase()) {
+      case 'M':
+        x = ox + next();
+        y = oy + next();
+        startX = x;
+        startY = y;
+        commands.push({ type: 'M', x, y });
+        // Further coordinate pairs are implicit line-tos
+        cmd = rel ? 'l' : 'L';
+        break;
+      case 'L':
+        x = ox + next();
+        y = oy + next();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'H':
+        x = ox + next();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'V':
+        y = oy + next();
+        commands.push({ type: 'L', x, y });
+        break;
+      case 'C':
+      case 'S': {
+        let x1;
+        let y1;
+        if (cmd.toUpperCase() === 'C') {
+          x1 = ox + next();
+          y1 = oy + next();
+        } else {
+          // Reflection of the previous cubic control point
+          x1 = prevControl && prevControl.cubic ? 2 * x - prevControl.x : x;
+          y1 = prevControl && prevControl.cubic ? 2 * y - prevControl.y : y;
+        }
+        const x2 = ox + next();
+        const y2 = oy + next();
+        x = ox + next();
+        y = oy + next();
+        commands.push({ type: 'C', x1, y1, x2, y2, x, y });
+        lastControl = { x: x2, y: y2, cubic: true };
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let x1;
+        let y1;
+        if (cmd.toUpperCase() === 'Q') {
+          x1 = ox + next();
+          y1 = oy + next();
+        } else {
+          x1 = prevControl && !prevControl.cubic ? 2 * x - prevControl.x : x;
+          y1 = prevControl && !prevControl.cubic ? 2 * y - prevControl.y : y;
+        }
+        x = ox + next();
+        y = oy + next();
+        commands.push({ type: 'Q', x1, y1, x, y });
+        lastControl = { x: x1, y: y1, cubic: false };
+        break;
+      }
+      case 'A': {
+        const rx = next();
+        const ry = next();
+        const angle = next();
+        const largeArc = next() !== 0;
+        const sweep = next() !== 0;
+        const ex = ox + next();
+        const ey = oy + next();
+        commands.push(...arcToCubics(x, y, rx, ry, angle, largeArc, sweep, ex, ey));
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'Z':
+        commands.push({ type: 'Z' });
+        x = startX;
+        y = startY;
+        // Z takes no coordinates, a number after it would be read forever
+        if (i < tokens.length && !/[a-z]/i.test(tokens[i])) return null;
+        break;
+      default:
+        // Unknown command: stop instead of looping forever
+        return commands;
+    }
+    if ([x, y].some(isNaN)) return null;
+  }
+  return commands;
+}
+
+/**
+ * Converts an SVG elliptical arc (endpoint parameterization) into cubic Béziers of at
+ * most 90° each (SVG 1.1, appendix F.6).
+ */
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return [{ type: 'L', x: x2, y: y2 }];
+
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const t = (4 / 3) * Math.tan(step / 4);
+  const point = (theta) => ({
+    x: cx + rx * Math.cos(theta) * cos - ry * Math.sin(theta) * sin,
+    y: cy + rx * Math.cos(theta) * sin + ry * Math.sin(theta) * cos,
+  });
+  const derivative = (theta) => ({
+    x: -rx * Math.sin(theta) * cos - ry * Math.cos(theta) * sin,
+    y: -rx * Math.sin(theta) * sin + ry * Math.cos(theta) * cos,
+  });
+
+  const curves = [];
+  for (let s = 0; s < segments; s++) {
+    const a = theta1 + s * step;
+    const b = a + step;
+    const p1 = point(a);
+    const p2 = point(b);
+    const d1 = derivative(a);
+    const d2 = derivative(b);
+    curves.push({
+      type: 'C',
+      x1: p1.x + t * d1.x,
+      y1: p1.y + t * d1.y,
+      x2: p2.x - t * d2.x,
+      y2: p2.y - t * d2.y,
+      x: s === segments - 1 ? x2 : p2.x,
+      y: s === segments - 1 ? y2 : p2.y,
+    });
+  }
+  return curves;
+}
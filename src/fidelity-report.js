@@ -0,0 +1,256 @@
+// src/fidelity-report.js
+import { splitCssList, isGradient, parseGradient } from './gradient-parser.js';
+import { parseClipPath } from './clip-path.js';
+
+// Color spaces `parseColor` doesn't read, in stops or as `in <space>` interpolation (the stops
+// turn transparent)
+const UNSUPPORTED_COLOR_RE =
+  /\b(oklch|oklab|lab|lch|hwb|color|color-mix)\(|\(\s*in\s+[a-z-]+|,\s*in\s+[a-z-]+/i;
+const OVERLAY_COLORS = { rasterized: '#F59E0B', skipped: '#EF4444', ignored: '#8B5CF6' };
+const OVERLAY_ATTRIBUTE = 'data-dom-to-pptx-overlay';
+let removeActiveOverlay = null;
+
+/**
+ * Creates the report of one slide, filled while its root is walked.
+ * @returns {{ index: number, root: HTMLElement, status: string, error: Error | null,
+ *   native: Array, rasterized: Array, skipped: Array, ignored: Array }}
+ */
+export function createSlideReport(index, root) {
+  return {
+    index,
+    root,
+    status: 'done',
+    error: null,
+    native: [],
+    rasterized: [],
+    skipped: [],
+    ignored: [],
+  };
+}
+
+/**
+ * Short CSS-like label of a node for logs, e.g. `div#hero.card.shadow`.
+ */
+export function describeNode(node) {
+  const el = node && node.nodeType === 3 ? node.parentElement : node;
+  if (!el || !el.tagName) return '';
+  let label = el.tagName.toLowerCase();
+  if (el.id) label += `#${el.id}`;
+  const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/) : [];
+  classes.filter(Boolean).forEach((name) => (label += `.${name}`));
+  return label;
+}
+
+/**
+ * Lists the computed properties of an element that have no PowerPoint mapping and are dropped:
+ * filters other than a single blur, blend modes, backdrop filters, gradients the parser can't
+ * read, `background-clip: text` (text gets a flat fallback color), `url()` clip paths and
+ * rounded table corners.
+ * @returns {Array<{ property: string, value: string }>}
+ */
+export function getIgnoredProperties(node, style) {
+  const ignored = [];
+  const add = (property, value) => ignored.push({ property, value });
+
+  const filter = style.filter;
+  if (filter && filter !== 'none' && !/^blur\([^)]*\)$/.test(filter.trim())) add('filter', filter);
+  const backdrop = style.backdropFilter || style.webkitBackdropFilter;
+  if (backdrop && backdrop !== 'none') add('backdrop-filter', backdrop);
+  if (style.mixBlendMode && style.mixBlendMode !== 'normal') {
+    add('mix-blend-mode', style.mixBlendMode);
+  }
+  const backgroundBlend = style.backgroundBlendMode;
+  if (backgroundBlend && backgroundBlend.split(',').some((mode) => mode.trim() !== 'normal')) {
+    add('background-blend-mode', backgroundBlend);
+  }
+
+  const backgroundImage = style.backgroundImage;
+  if (backgroundImage && backgroundImage.includes('gradient(')) {
+    const bgClip = style.webkitBackgroundClip || style.backgroundClip;
+    if (bgClip === 'text') {
+      add('background-clip', bgClip);
+    } else {
+      const rect = node.getBoundingClientRect();
+      splitCssList(backgroundImage)
+        .filter((layer) => layer.includes('gradient('))
+        .filter(
+          (layer) =>
+            !isGradient(layer) ||
+            UNSUPPORTED_COLOR_RE.test(layer) ||
+            !parseGradient(layer, rect.width, rect.height)
+        )
+        .forEach((layer) => add('background-image', layer));
+    }
+  }
+
+  // Native tables have square corners
+  const corners = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+  if (node.tagName === 'TABLE' && corners.some((c) => parseFloat(style[`border${c}Radius`]) > 0)) {
+    add('border-radius', style.borderRadius);
+  }
+
+  const clipPath = style.clipPath;
+  if (clipPath && clipPath !== 'none') {
+    const rect = node.getBoundingClientRect();
+    if (!parseClipPath(clipPath, rect.width, rect.height)) add('clip-path', clipPath);
+  }
+  return ignored;
+}
+
+/**
+ * Sorts the render items of a slide into the report once their async jobs ran: native
+ * objects (grouped per node), snapshots (items carrying a `rasterReason`) and items whose
+ * image data could not be produced.
+ * @param {Object} report - From `createSlideReport`.
+ * @param {Array} items - Every render item of the slide, including the skipped ones.
+ * @param {Map<Object, Node>} itemNodes - item -> DOM node it was built from.
+ */
+export function recordRenderItems(report, items, itemNodes) {
+  const nativeEntries = new Map();
+  items.forEach((item) => {
+    const node = itemNodes.get(item);
+    if (!node) return;
+    const el = node.nodeType === 3 ? node.parentElement : node;
+    const description = describeNode(el);
+    const missingData = (item.type === 'image' || item.type === 'background') && !item.options.data;
+
+    if (item.skip || missingData) {
+      report.skipped.push({ node: el, description, ...getSkipReason(el, item) });
+    } else if (item.rasterReason) {
+      report.rasterized.push({ node: el, description, reason: item.rasterReason });
+    } else {
+      if (!nativeEntries.has(el)) {
+        const entry = { node: el, description, types: [] };
+        nativeEntries.set(el, entry);
+        report.native.push(entry);
+      }
+      const types = nativeEntries.get(el).types;
+      if (!types.includes(item.type)) types.push(item.type);
+    }
+  });
+}
+
+function getSkipReason(el, item) {
+  if (item.rasterReason) return { reason: `snapshot failed (${item.rasterReason})`, url: null };
+  if (el.tagName === 'IMG') {
+    return {
+      reason: 'image could not be loaded or read (CORS or network error)',
+      url: el.currentSrc || el.src || null,
+    };
+  }
+  if (el.tagName === 'CANVAS') return { reason: 'canvas is blank or tainted', url: null };
+  if (el.tagName === 'VIDEO') {
+    return {
+      reason: 'video frame and poster unavailable',
+      url: el.poster || el.currentSrc || el.src || null,
+    };
+  }
+  const url = (window.getComputedStyle(el).backgroundImage || '').match(
+    /url\(\s*["']?([^"')]*)["']?\s*\)/
+  );
+  return {
+    reason: 'background image could not be loaded or read (CORS or network error)',
+    url: url ? url[1] : null,
+  };
+}
+
+/**
+ * Outlines the rasterized (orange), skipped (red) and ignored-property (purple) nodes of a
+ * report on the page. The outlines don't take pointer events; hovering a node shows its
+ * reasons in a tooltip. Nodes inside iframes and pseudo-elements are not shown. An overlay
+ * already on the page is removed first.
+ * @param {{ slides: Array }} report - Report resolved by `exportToPptx` with `report: true`.
+ * @returns {Function} - Removes the overlay.
+ */
+export function showDebugOverlay(report) {
+  if (removeActiveOverlay) removeActiveOverlay();
+  document.querySelectorAll(`[${OVERLAY_ATTRIBUTE}]`).forEach((el) => el.remove());
+
+  const layer = document.createElement('div');
+  layer.setAttribute(OVERLAY_ATTRIBUTE, '');
+  layer.style.cssText =
+    'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+
+  const reasons = new Map(); // element -> { kind, lines }
+  report.slides.forEach((slide) => {
+    ['rasterized', 'skipped', 'ignored'].forEach((kind) => {
+      slide[kind].forEach((entry) => {
+        // Materialized pseudo-elements are gone once the export is done
+        if (!entry.node || !entry.node.isConnected || entry.node.ownerDocument !== document) {
+          return;
+        }
+        if (!reasons.has(entry.node)) reasons.set(entry.node, { kind, lines: [] });
+        const line =
+          kind === 'ignored'
+            ? `ignored ${entry.property}: ${entry.value}`
+            : `${kind}: ${entry.reason}${entry.url ? ` (${entry.url})` : ''}`;
+        reasons.get(entry.node).lines.push(line);
+      });
+    });
+  });
+
+  const boxes = [];
+  reasons.forEach(({ kind, lines }, el) => {
+    const rect = el.getBoundingClientRect();
+    const box = document.createElement('div');
+    box.style.cssText = [
+      'position:absolute',
+      `left:${rect.left + window.scrollX}px`,
+      `top:${rect.top + window.scrollY}px`,
+      `width:${rect.width}px`,
+      `height:${rect.height}px`,
+      `outline:2px dashed ${OVERLAY_COLORS[kind]}`,
+      `background:${OVERLAY_COLORS[kind]}22`,
+      'box-sizing:border-box',
+    ].join(';');
+    layer.appendChild(box);
+    boxes.push({ box, text: `${describeNode(el)}\n${lines.join('\n')}` });
+  });
+
+  const tooltip = document.createElement('div');
+  tooltip.style.cssText = [
+    'position:fixed',
+    'display:none',
+    'max-width:480px',
+    'padding:4px 6px',
+    'background:#111827',
+    'color:#fff',
+    'font:12px/1.4 monospace',
+    'white-space:pre-wrap',
+    'pointer-events:none',
+  ].join(';');
+  layer.appendChild(tooltip);
+
+  // The page keeps its clicks; the innermost hovered box shows its reasons
+  const onMouseMove = (event) => {
+    let hit = null;
+    let hitArea = Infinity;
+    boxes.forEach((entry) => {
+      const rect = entry.box.getBoundingClientRect();
+      const inside =
+        event.clientX >= rect.left &&
+        event.clientX <= rect.right &&
+        event.clientY >= rect.top &&
+        event.clientY <= rect.bottom;
+      if (inside && rect.width * rect.height < hitArea) {
+        hit = entry;
+        hitArea = rect.width * rect.height;
+      }
+    });
+    tooltip.style.display = hit ? 'block' : 'none';
+    if (!hit) return;
+    tooltip.textContent = hit.text;
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+  };
+  document.addEventListener('mousemove', onMouseMove, true);
+
+  document.body.appendChild(layer);
+  const remove = () => {
+    document.removeEventListener('mousemove', onMouseMove, true);
+    layer.remove();
+    if (removeActiveOverlay === remove) removeActiveOverlay = null;
+  };
+  removeActiveOverlay = remove;
+  return remove;
+}
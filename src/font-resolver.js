@@ -0,0 +1,203 @@
+// src/font-resolver.js
+
+/**
+ * Substitutes for CSS generic families and common web-only/platform-only fonts that
+ * PowerPoint can't render. Keys are lowercase. Entries of the `fontMap` option win.
+ */
+export const DEFAULT_FONT_MAP = {
+  'sans-serif': 'Arial',
+  'ui-sans-serif': 'Arial',
+  'system-ui': 'Arial',
+  'ui-rounded': 'Arial',
+  '-apple-system': 'Arial',
+  blinkmacsystemfont: 'Arial',
+  'helvetica neue': 'Arial',
+  helvetica: 'Arial',
+  roboto: 'Arial',
+  serif: 'Times New Roman',
+  'ui-serif': 'Times New Roman',
+  monospace: 'Consolas',
+  'ui-monospace': 'Consolas',
+  sfmono: 'Consolas',
+  'sfmono-regular': 'Consolas',
+  menlo: 'Consolas',
+  monaco: 'Consolas',
+  'liberation mono': 'Consolas',
+  cursive: 'Comic Sans MS',
+  fantasy: 'Impact',
+};
+
+// Generic families and platform aliases that only browsers understand
+const GENERIC_FAMILIES = new Set([
+  'blinkmacsystemfont',
+  'serif',
+  'sans-serif',
+  'monospace',
+  'cursive',
+  'fantasy',
+  'system-ui',
+  'ui-serif',
+  'ui-sans-serif',
+  'ui-monospace',
+  'ui-rounded',
+  'emoji',
+  'math',
+  'fangsong',
+]);
+
+const FALLBACK_FONT = 'Arial';
+const availabilityCache = new Map();
+// Style names of the weights PowerPoint's bold flag can't express
+const WEIGHT_NAMES = {
+  100: ['Thin', 'Hairline'],
+  200: ['ExtraLight', 'UltraLight'],
+  300: ['Light'],
+  500: ['Medium'],
+  600: ['SemiBold', 'DemiBold'],
+  800: ['ExtraBold', 'UltraBold'],
+  900: ['Black', 'Heavy'],
+};
+
+/**
+ * Resolves a computed `font-family` stack to the face PowerPoint should use.
+ * The first family that is mapped in `fontMap`, loaded as a web font (`document.fonts`) or
+ * installed locally wins; generic and platform-only families fall back to the substitution
+ * table.
+ * @param {string} fontFamily - Computed `font-family`.
+ * @param {Object<string, string>} [fontMap] - User substitutions (family -> PowerPoint font).
+ * @param {Map<string, Object>} [usedFonts] - Collects every resolved face (see `onFonts`).
+ * @returns {string}
+ */
+export function resolveFontFace(fontFamily, fontMap = {}, usedFonts = null) {
+  const userMap = normalizeFontMap(fontMap);
+  const families = splitFontStack(fontFamily);
+  let resolved = null;
+
+  for (const { family, cssName } of families) {
+    const key = family.toLowerCase();
+    if (userMap[key]) {
+      resolved = { name: userMap[key], requested: family, source: 'mapped' };
+    } else if (GENERIC_FAMILIES.has(key) || key.startsWith('-')) {
+      resolved = {
+        name: DEFAULT_FONT_MAP[key] || FALLBACK_FONT,
+        requested: family,
+        source: 'substituted',
+      };
+    } else if (isWebFont(cssName)) {
+      resolved = { name: family, requested: family, source: 'web' };
+    } else if (isFontAvailable(family)) {
+      resolved = { name: family, requested: family, source: 'system' };
+    }
+    if (resolved) break;
+  }
+
+  if (!resolved) {
+    const first = families.length > 0 ? families[0].family : '';
+    resolved = {
+      name: DEFAULT_FONT_MAP[first.toLowerCase()] || FALLBACK_FONT,
+      requested: first,
+      source: 'substituted',
+    };
+  }
+
+  if (usedFonts && !usedFonts.has(resolved.name)) usedFonts.set(resolved.name, resolved);
+  return resolved.name;
+}
+
+/**
+ * PowerPoint only knows regular and bold. For other weights, looks for a face carrying the
+ * weight in its family name (`"Inter 500"` or `"Inter Medium"` in `fontMap`, or an installed
+ * or loaded family like `"Segoe UI Semibold"`, `"Calibri Light"`); without one, weights from
+ * 600 up are bold.
+ * @param {string} fontFace - Face from `resolveFontFace`.
+ * @param {string} fontWeight - Computed `font-weight`.
+ * @param {Object<string, string>} [fontMap] - User substitutions.
+ * @param {Map<string, Object>} [usedFonts] - Collects the weighted face when one is used.
+ * @returns {{ fontFace: string, bold: boolean }}
+ */
+export function resolveFontWeight(fontFace, fontWeight, fontMap = {}, usedFonts = null) {
+  const numeric = parseInt(fontWeight) || 400;
+  const weight = Math.min(Math.max(Math.round(numeric / 100) * 100, 100), 900);
+  if (!WEIGHT_NAMES[weight]) return { fontFace, bold: weight >= 600 };
+
+  const userMap = normalizeFontMap(fontMap);
+  const requested = `${fontFace} ${weight}`;
+  const candidates = [requested, ...WEIGHT_NAMES[weight].map((name) => `${fontFace} ${name}`)];
+  let resolved = null;
+  for (const family of candidates) {
+    const key = family.toLowerCase();
+    if (userMap[key]) resolved = { name: userMap[key], requested, source: 'mapped' };
+    else if (isWebFont(family)) resolved = { name: family, requested, source: 'web' };
+    else if (family !== requested && isFontAvailable(family)) {
+      resolved = { name: family, requested, source: 'system' };
+    }
+    if (resolved) break;
+  }
+
+  if (!resolved) return { fontFace, bold: weight >= 600 };
+  if (usedFonts && !usedFonts.has(resolved.name)) usedFonts.set(resolved.name, resolved);
+  return { fontFace: resolved.name, bold: false };
+}
+
+function normalizeFontMap(fontMap) {
+  const map = {};
+  Object.entries(fontMap || {}).forEach(([family, face]) => {
+    map[family.replace(/['"]/g, '').trim().toLowerCase()] = face;
+  });
+  return map;
+}
+
+/**
+ * Splits a font stack into unquoted family names. Build tools (e.g. `next/font`) expose
+ * hashed aliases like `__Inter_a1b2c3` through CSS variables; those keep their CSS name for
+ * the `document.fonts` lookup but resolve to the real family, and their generated fallbacks
+ * are dropped.
+ * @returns {Array<{ family: string, cssName: string }>}
+ */
+function splitFontStack(fontFamily) {
+  return (fontFamily || '')
+    .split(',')
+    .map((name) => name.replace(/['"]/g, '').trim())
+    .filter((name) => name && !/^__.+_Fallback_[0-9a-f]+$/i.test(name))
+    .map((cssName) => {
+      const hashed = cssName.match(/^__(.+)_[0-9a-f]{5,}$/i);
+      return { family: hashed ? hashed[1].replace(/_/g, ' ') : cssName, cssName };
+    });
+}
+
+function isWebFont(family) {
+  if (typeof document === 'undefined' || !document.fonts) return false;
+  const key = family.toLowerCase();
+  for (const face of document.fonts) {
+    if (face.status === 'loaded' && face.family.replace(/['"]/g, '').toLowerCase() === key) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Detects locally installed fonts by comparing text metrics against the generic fallbacks:
+ * an unknown family renders exactly like its fallback.
+ */
+function isFontAvailable(family) {
+  const key = family.toLowerCase();
+  if (availabilityCache.has(key)) return availabilityCache.get(key);
+
+  let available = false;
+  try {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const sample = 'mmmmmmmmmmlli1WQ@#';
+    available = ['monospace', 'serif', 'sans-serif'].some((generic) => {
+      ctx.font = `72px ${generic}`;
+      const base = ctx.measureText(sample).width;
+      ctx.font = `72px "${family}", ${generic}`;
+      return ctx.measureText(sample).width !== base;
+    });
+  } catch {
+    available = false;
+  }
+
+  availabilityCache.set(key, available);
+  return available;
+}
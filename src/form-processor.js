@@ -0,0 +1,225 @@
+// src/form-processor.js
+import { parseColor, getTextStyle, getTextHighlight } from './utils.js';
+
+// Chrome's default `accent-color` and control outline
+const DEFAULT_ACCENT = '0075FF';
+const CONTROL_BORDER = '767676';
+const BUTTON_TYPES = ['button', 'submit', 'reset'];
+const BUTTON_LABELS = { submit: 'Submit', reset: 'Reset' };
+const NON_TEXT_TYPES = ['checkbox', 'radio', 'range', 'color', 'file', 'image', 'hidden'];
+
+export function isFormControl(node) {
+  return node.tagName === 'INPUT' || node.tagName === 'TEXTAREA' || node.tagName === 'SELECT';
+}
+
+/**
+ * Text a form control is showing: its live `value` (masked for passwords), the `placeholder`
+ * styled with `::placeholder`, the chosen `<select>` option(s) or a button label.
+ * @param {HTMLElement} node - INPUT, TEXTAREA or SELECT.
+ * @param {CSSStyleDeclaration} style - Computed style of the control.
+ * @param {Object} config - Layout config (for `getTextStyle`).
+ * @returns {{ text: Array, align: string, valign: string } | null} - Text runs and alignment,
+ *   or null when the control shows no text.
+ */
+export function getFormControlText(node, style, config) {
+  const type = (node.type || '').toLowerCase();
+  if (node.tagName === 'INPUT' && NON_TEXT_TYPES.includes(type)) return null;
+
+  let align = style.textAlign || 'left';
+  if (align === 'start') align = 'left';
+  if (align === 'end') align = 'right';
+  const valueOptions = getTextStyle(style, config);
+
+  if (node.tagName === 'SELECT') {
+    const options = Array.from(node.options);
+    const isListBox = node.multiple || node.size > 1;
+    if (!isListBox) {
+      const selected = options[node.selectedIndex];
+      return selected && selected.text.trim()
+        ? { text: [{ text: selected.text.trim(), options: valueOptions }], align, valign: 'middle' }
+        : null;
+    }
+    // List boxes show every option, the selected ones highlighted
+    const lines = options.map((option) => ({
+      text: option.text.trim(),
+      options: option.selected
+        ? { ...valueOptions, ...getTextHighlight(window.getComputedStyle(option)) }
+        : valueOptions,
+    }));
+    return lines.length > 0 ? { text: toParagraphs(lines), align, valign: 'top' } : null;
+  }
+
+  if (BUTTON_TYPES.includes(type)) {
+    const label = node.value || BUTTON_LABELS[type] || '';
+    return label
+      ? { text: [{ text: label, options: valueOptions }], align, valign: 'middle' }
+      : null;
+  }
+
+  const valign = node.tagName === 'TEXTAREA' ? 'top' : 'middle';
+  let value = node.value || '';
+  if (type === 'password') value = '•'.repeat(value.length);
+
+  let options = valueOptions;
+  if (!value && node.placeholder) {
+    value = node.placeholder;
+    const placeholderStyle = window.getComputedStyle(node, '::placeholder');
+    const opacity = parseFloat(placeholderStyle.opacity);
+    options = getTextStyle(placeholderStyle, config, isNaN(opacity) ? 1 : opacity);
+  }
+  if (!value) return null;
+
+  // Single-line inputs drop newlines like the browser does
+  const lines = node.tagName === 'TEXTAREA' ? value.split(/\r?\n/) : [value.replace(/\n/g, '')];
+  return {
+    text: toParagraphs(lines.map((line) => ({ text: line, options }))),
+    align,
+    valign,
+  };
+}
+
+function toParagraphs(lines) {
+  return lines.map((line, i) => ({
+    text: line.text,
+    options: i < lines.length - 1 ? { ...line.options, breakLine: true } : line.options,
+  }));
+}
+
+/**
+ * Native shapes for controls the browser paints itself (`appearance: auto`): checkboxes and
+ * radios with their checked state, the dropdown arrow of a `<select>` and the swatch of a
+ * color input.
+ * @param {HTMLElement} node - Form control.
+ * @param {CSSStyleDeclaration} style - Computed style of the control.
+ * @param {Object} box - { x, y, w, h, widthPx, heightPx, rotate, flipH, flipV, zIndex,
+ *   domOrder, scale, opacity } of the control.
+ * @param {PptxGenJS} pptx - For shape types.
+ * @returns {{ items: Array, replace: boolean } | null} - Shapes to add; `replace` when they
+ *   stand in for the element's own rendering.
+ */
+export function createFormControlShapes(node, style, box, pptx) {
+  const appearance = style.appearance || style.webkitAppearance || 'auto';
+  if (appearance === 'none') return null;
+
+  const type = (node.type || '').toLowerCase();
+  const xfrm = { rotate: box.rotate, flipH: box.flipH, flipV: box.flipV };
+  const transparency = (1 - box.opacity * (node.disabled ? 0.5 : 1)) * 100;
+  const accent =
+    (style.accentColor !== 'auto' && parseColor(style.accentColor).hex) || DEFAULT_ACCENT;
+  const lineWidth = Math.max(box.scale * 0.75, 0.25);
+  const shape = (shapeType, options) => ({
+    type: 'shape',
+    zIndex: box.zIndex,
+    domOrder: box.domOrder,
+    shapeType,
+    options: { ...xfrm, ...options },
+  });
+
+  if (node.tagName === 'INPUT' && (type === 'checkbox' || type === 'radio')) {
+    const size = Math.min(box.w, box.h);
+    const frame = {
+      x: box.x + (box.w - size) / 2,
+      y: box.y + (box.h - size) / 2,
+      w: size,
+      h: size,
+    };
+    const checked = node.checked || (type === 'checkbox' && node.indeterminate);
+    const items = [];
+
+    if (type === 'radio') {
+      items.push(
+        shape(pptx.ShapeType.ellipse, {
+          ...frame,
+          fill: { color: 'FFFFFF', transparency },
+          line: { color: checked ? accent : CONTROL_BORDER, width: lineWidth, transparency },
+        })
+      );
+      if (checked) {
+        const dot = size * 0.5;
+        items.push(
+          shape(pptx.ShapeType.ellipse, {
+            x: frame.x + (size - dot) / 2,
+            y: frame.y + (size - dot) / 2,
+            w: dot,
+            h: dot,
+            fill: { color: accent, transparency },
+          })
+        );
+      }
+      return { items, replace: true };
+    }
+
+    items.push(
+      shape(pptx.ShapeType.roundRect, {
+        ...frame,
+        rectRadius: 0.15,
+        fill: { color: checked ? accent : 'FFFFFF', transparency },
+        line: checked ? null : { color: CONTROL_BORDER, width: lineWidth, transparency },
+      })
+    );
+    if (checked) {
+      // Check mark (or the dash of an indeterminate box) as an open custom path
+      const points = node.indeterminate
+        ? [
+            { x: size * 0.25, y: size * 0.5, moveTo: true },
+            { x: size * 0.75, y: size * 0.5 },
+          ]
+        : [
+            { x: size * 0.22, y: size * 0.52, moveTo: true },
+            { x: size * 0.42, y: size * 0.72 },
+            { x: size * 0.78, y: size * 0.3 },
+          ];
+      items.push(
+        shape(pptx.ShapeType.custGeom, {
+          ...frame,
+          points,
+          line: { color: 'FFFFFF', width: lineWidth * 2, transparency },
+        })
+      );
+    }
+    return { items, replace: true };
+  }
+
+  if (node.tagName === 'INPUT' && type === 'color') {
+    const inset = Math.min(box.w, box.h) * 0.2;
+    return {
+      items: [
+        shape(pptx.ShapeType.rect, {
+          x: box.x + inset,
+          y: box.y + inset,
+          w: box.w - inset * 2,
+          h: box.h - inset * 2,
+          fill: { color: parseColor(node.value).hex || '000000', transparency },
+          line: { color: CONTROL_BORDER, width: lineWidth, transparency },
+        }),
+      ],
+      replace: false,
+    };
+  }
+
+  if (node.tagName === 'SELECT' && !node.multiple && !(node.size > 1)) {
+    // Dropdown chevron, 8px wide and centered 10px from the right edge (like Chrome's)
+    const pxToInch = box.w / box.widthPx;
+    const arrowW = 8 * pxToInch;
+    const arrowH = arrowW / 2;
+    return {
+      items: [
+        shape(pptx.ShapeType.custGeom, {
+          x: box.x + box.w - 10 * pxToInch - arrowW / 2,
+          y: box.y + (box.h - arrowH) / 2,
+          w: arrowW,
+          h: arrowH,
+          points: [
+            { x: 0, y: 0, moveTo: true },
+            { x: arrowW / 2, y: arrowH },
+            { x: arrowW, y: 0 },
+          ],
+          line: { color: parseColor(style.color).hex || '000000', width: lineWidth, transparency },
+        }),
+      ],
+      replace: false,
+    };
+  }
+
+  return null;
+}
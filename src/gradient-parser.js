@@ -0,0 +1,570 @@
+// src/gradient-parser.js
+import { parseColor, getRoundedRectPath } from './utils.js';
+
+const GRADIENT_RE = /^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/is;
+const POSITION_RE = /^-?(\d+\.?\d*|\.\d+)(%|px|deg|grad|rad|turn)?$/i;
+const SIDE_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+const MAX_REPEATS = 500;
+
+/**
+ * Splits a CSS value on top-level separators, ignoring the ones nested in parentheses.
+ * @param {string} str - e.g. `linear-gradient(...), url(a.png)`
+ * @param {RegExp} [sep=/,/] - Single-character separator test.
+ */
+export function splitCssList(str, sep = /,/) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of str || '') {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    if (depth === 0 && sep.test(ch)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Returns true when a background-image layer is a CSS gradient we can parse.
+ */
+export function isGradient(layer) {
+  return GRADIENT_RE.test((layer || '').trim());
+}
+
+/**
+ * Parses a single CSS gradient into absolute geometry for a `w` x `h` box.
+ * Stops are fully resolved: positions are fractions of the gradient line (0..1), hints are
+ * expanded into intermediate stops, and repeating gradients are unrolled over the painted area.
+ * @param {string} str - One gradient layer, e.g. `repeating-linear-gradient(45deg, ...)`.
+ * @param {number} w - Box width in px.
+ * @param {number} h - Box height in px.
+ * @returns {Object | null} - { type, repeating, stops: [{ offset, color: {r,g,b,a} }], ...geometry }
+ */
+export function parseGradient(str, w, h) {
+  const match = (str || '').trim().match(GRADIENT_RE);
+  if (!match || w <= 0 || h <= 0) return null;
+
+  const repeating = !!match[1];
+  const type = match[2].toLowerCase();
+  const parts = splitCssList(match[3]);
+  if (parts.length === 0) return null;
+
+  const hasConfig = isConfigPart(parts[0], type);
+  const config = hasConfig ? stripInterpolation(parts[0]) : '';
+  const stopParts = hasConfig ? parts.slice(1) : parts;
+  if (stopParts.length === 0) return null;
+
+  let gradient;
+  let lineLength;
+  let extent = 1;
+
+  if (type === 'linear') {
+    const angle = parseLinearAngle(config, w, h);
+    const rad = (angle * Math.PI) / 180;
+    const dirX = Math.sin(rad);
+    const dirY = -Math.cos(rad);
+    lineLength = Math.abs(w * Math.sin(rad)) + Math.abs(h * Math.cos(rad));
+    gradient = {
+      type,
+      angle,
+      x1: w / 2 - (dirX * lineLength) / 2,
+      y1: h / 2 - (dirY * lineLength) / 2,
+      x2: w / 2 + (dirX * lineLength) / 2,
+      y2: h / 2 + (dirY * lineLength) / 2,
+    };
+  } else if (type === 'radial') {
+    gradient = { type, ...parseRadialConfig(config, w, h) };
+    if (gradient.rx <= 0 || gradient.ry <= 0) return null;
+    lineLength = gradient.rx;
+    // Stops past the ending shape are still painted up to the farthest corner
+    extent = Math.max(
+      ...[
+        [0, 0],
+        [w, 0],
+        [w, h],
+        [0, h],
+      ].map(([px, py]) =>
+        Math.hypot((px - gradient.cx) / gradient.rx, (py - gradient.cy) / gradient.ry)
+      )
+    );
+  } else {
+    gradient = { type, ...parseConicConfig(config, w, h) };
+    lineLength = 0;
+  }
+
+  let stops = resolveStops(stopParts, lineLength, type === 'conic');
+  if (stops.length === 0) return null;
+
+  if (repeating) stops = repeatStops(stops, extent);
+  stops = clipStops(stops, 0, extent);
+
+  if (type === 'radial' && extent !== 1) {
+    // Scale the ending shape so every visible stop fits in 0..1
+    stops = stops.map((s) => ({ ...s, offset: s.offset / extent }));
+    gradient.rx *= extent;
+    gradient.ry *= extent;
+  }
+
+  return { ...gradient, repeating, stops };
+}
+
+/**
+ * Generates an SVG data URL painting every gradient layer of `background-image`.
+ * @param {number} w - Width in px.
+ * @param {number} h - Height in px.
+ * @param {string} bgString - Computed `background-image`.
+ * @param {number | {tl: number, tr: number, br: number, bl: number} | string} radius - Corner
+ *   radii, or SVG path data of the clip shape (e.g. a `clip-path`).
+ * @param {{color: string, width: number} | null} border - Optional uniform border stroke.
+ * @param {{hex: string, opacity: number} | null} [baseColor] - `background-color` painted
+ *   under the gradient layers.
+ * @returns {string | null}
+ */
+export function generateGradientSVG(w, h, bgString, radius, border, baseColor) {
+  try {
+    // The first layer is painted on top, so draw them in reverse order
+    const layers = splitCssList(bgString)
+      .filter(isGradient)
+      .map((layer) => parseGradient(layer, w, h))
+      .filter(Boolean)
+      .reverse();
+    if (layers.length === 0) return null;
+
+    const shapePath = typeof radius === 'string' ? radius : getRoundedRectPath(w, h, radius);
+    let defs = `<clipPath id="clip"><path d="${shapePath}" /></clipPath>`;
+    let body = '';
+
+    if (baseColor && baseColor.hex) {
+      body += `<rect x="0" y="0" width="${w}" height="${h}" fill="#${baseColor.hex}" fill-opacity="${baseColor.opacity}" />`;
+    }
+
+    layers.forEach((gradient, i) => {
+      const id = `grad${i}`;
+      if (gradient.type === 'linear') {
+        defs += `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${gradient.x1}" y1="${gradient.y1}" x2="${gradient.x2}" y2="${gradient.y2}">${stopsToSVG(gradient.stops)}</linearGradient>`;
+        body += `<rect x="0" y="0" width="${w}" height="${h}" fill="url(#${id})" />`;
+      } else if (gradient.type === 'radial') {
+        const { cx, cy, rx, ry } = gradient;
+        const transform = `translate(${cx} ${cy}) scale(1 ${ry / rx}) translate(${-cx} ${-cy})`;
+        defs += `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${rx}" fx="${cx}" fy="${cy}" gradientTransform="${transform}">${stopsToSVG(gradient.stops)}</radialGradient>`;
+        body += `<rect x="0" y="0" width="${w}" height="${h}" fill="url(#${id})" />`;
+      } else {
+        body += conicToSVG(gradient, w, h);
+      }
+    });
+
+    let strokeTag = '';
+    if (border) {
+      strokeTag = `<path d="${shapePath}" fill="none" stroke="#${border.color}" stroke-width="${border.width}" />`;
+    }
+
+    const svg = `
+          <svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+              <defs>${defs}</defs>
+              <g clip-path="url(#clip)">${body}</g>
+              ${strokeTag}
+          </svg>`;
+    return 'data:image/svg+xml;base64,' + btoa(svg);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the color at `t` along a resolved stop list.
+ */
+export function sampleStops(stops, t) {
+  if (t <= stops[0].offset) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    const prev = stops[i - 1];
+    const next = stops[i];
+    if (t <= next.offset) {
+      const span = next.offset - prev.offset;
+      return span <= 0 ? next.color : mixColors(prev.color, next.color, (t - prev.offset) / span);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+/**
+ * Returns the parsed gradient when `background-image` can be expressed as a DrawingML
+ * `<a:gradFill>`: a single, non-repeating linear or radial layer. Semi-transparent stops are
+ * only accepted without a visible `background-color`, since a shape has a single fill.
+ * @param {string} bgString - Computed `background-image`.
+ * @param {number} w - Box width in px.
+ * @param {number} h - Box height in px.
+ * @param {{hex: string, opacity: number} | null} [baseColor] - Computed `background-color`.
+ * @returns {Object | null} - The gradient with its box `width`/`height`, or null.
+ */
+export function getNativeGradient(bgString, w, h, baseColor) {
+  const layers = splitCssList(bgString);
+  if (layers.length !== 1 || !isGradient(layers[0])) return null;
+
+  const gradient = parseGradient(layers[0], w, h);
+  if (!gradient || gradient.repeating || gradient.type === 'conic') return null;
+
+  const hasBaseColor = baseColor && baseColor.hex && baseColor.opacity > 0;
+  if (hasBaseColor && gradient.stops.some((stop) => stop.color.a < 1)) return null;
+
+  return { ...gradient, width: w, height: h };
+}
+
+function isConfigPart(part, type) {
+  const first = part.trim().toLowerCase();
+  if (/^in\s/.test(first)) return true;
+  if (type === 'linear') return /^to\s/.test(first) || POSITION_RE.test(first.split(/\s+/)[0]);
+  if (type === 'conic') return /^(from|at)\s/.test(first);
+  // Colors never start with a digit or these keywords
+  return /^(at\s|circle|ellipse|closest-|farthest-|-?[\d.])/.test(first);
+}
+
+function stripInterpolation(config) {
+  return config
+    .replace(/\bin\s+[a-z-]+(\s+(shorter|longer|increasing|decreasing)\s+hue)?/i, '')
+    .trim()
+    .toLowerCase();
+}
+
+function parseAngle(token) {
+  const match = (token || '').match(/^(-?[\d.]+)(deg|grad|rad|turn)?$/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  switch ((match[2] || 'deg').toLowerCase()) {
+    case 'grad':
+      return value * 0.9;
+    case 'rad':
+      return (value * 180) / Math.PI;
+    case 'turn':
+      return value * 360;
+    default:
+      return value;
+  }
+}
+
+function parseLinearAngle(config, w, h) {
+  if (!config) return 180;
+  if (config.startsWith('to ')) {
+    const words = config.slice(3).trim().split(/\s+/);
+    if (words.length === 1) return SIDE_ANGLES[words[0]] ?? 180;
+    // Corners: the gradient line is perpendicular to the diagonal between the two
+    // neighbouring corners, so its angle depends on the box aspect ratio.
+    const dx = words.includes('right') ? 1 : -1;
+    const dy = words.includes('bottom') ? 1 : -1;
+    return (Math.atan2(dx * h, -dy * w) * 180) / Math.PI;
+  }
+  const angle = parseAngle(config.split(/\s+/)[0]);
+  return angle === null ? 180 : angle;
+}
+
+function resolveLength(token, size) {
+  if (token === 'left' || token === 'top') return 0;
+  if (token === 'center') return size / 2;
+  if (token === 'right' || token === 'bottom') return size;
+  if (token.endsWith('%')) return (parseFloat(token) / 100) * size;
+  const value = parseFloat(token);
+  return isNaN(value) ? size / 2 : value;
+}
+
+function parsePosition(tokens, w, h) {
+  if (tokens.length === 0) return { cx: w / 2, cy: h / 2 };
+
+  if (tokens.length === 4) {
+    // Edge offsets: `right 10px bottom 20px`
+    const [kx, ox, ky, oy] =
+      SIDE_ANGLES[tokens[0]] % 180 === 0 ? tokens.slice(2).concat(tokens.slice(0, 2)) : tokens;
+    const x = resolveLength(ox, w);
+    const y = resolveLength(oy, h);
+    return { cx: kx === 'right' ? w - x : x, cy: ky === 'bottom' ? h - y : y };
+  }
+
+  if (tokens.length === 1) {
+    const t = tokens[0];
+    if (t === 'top' || t === 'bottom') return { cx: w / 2, cy: resolveLength(t, h) };
+    return { cx: resolveLength(t, w), cy: h / 2 };
+  }
+
+  let [x, y] = tokens;
+  if (x === 'top' || x === 'bottom' || y === 'left' || y === 'right') [x, y] = [y, x];
+  return { cx: resolveLength(x, w), cy: resolveLength(y, h) };
+}
+
+function parseRadialConfig(config, w, h) {
+  const [shapePart, posPart = ''] = config.split(/(?:^|\s)at\s/);
+  const { cx, cy } = parsePosition(posPart.trim().split(/\s+/).filter(Boolean), w, h);
+  const tokens = shapePart.trim().split(/\s+/).filter(Boolean);
+
+  const lengths = tokens.filter((t) => POSITION_RE.test(t));
+  const sizeKeyword = tokens.find((t) => /^(closest|farthest)-(side|corner)$/.test(t));
+  const isCircle =
+    tokens.includes('circle') || (lengths.length === 1 && !tokens.includes('ellipse'));
+
+  if (lengths.length > 0) {
+    const rx = resolveLength(lengths[0], w);
+    const ry = isCircle ? rx : resolveLength(lengths[1] || lengths[0], h);
+    return { cx, cy, rx, ry, shape: isCircle ? 'circle' : 'ellipse' };
+  }
+
+  const keyword = sizeKeyword || 'farthest-corner';
+  const pick = keyword.startsWith('closest') ? Math.min : Math.max;
+  const sideX = pick(Math.abs(cx), Math.abs(w - cx));
+  const sideY = pick(Math.abs(cy), Math.abs(h - cy));
+
+  let rx;
+  let ry;
+  if (isCircle) {
+    if (keyword.endsWith('side')) {
+      rx = pick(sideX, sideY);
+    } else {
+      rx = pick(
+        ...[
+          [0, 0],
+          [w, 0],
+          [w, h],
+          [0, h],
+        ].map(([px, py]) => Math.hypot(px - cx, py - cy))
+      );
+    }
+    ry = rx;
+  } else {
+    // Corner sizes keep the aspect ratio of the matching side size
+    const factor = keyword.endsWith('corner') ? Math.SQRT2 : 1;
+    rx = sideX * factor;
+    ry = sideY * factor;
+  }
+
+  return { cx, cy, rx, ry, shape: isCircle ? 'circle' : 'ellipse' };
+}
+
+function parseConicConfig(config, w, h) {
+  const fromMatch = config.match(/from\s+(\S+)/);
+  const atMatch = config.match(/at\s+(.+)$/);
+  const from = fromMatch ? parseAngle(fromMatch[1]) || 0 : 0;
+  const { cx, cy } = parsePosition(atMatch ? atMatch[1].trim().split(/\s+/) : [], w, h);
+  return { cx, cy, from };
+}
+
+function toRgba(str) {
+  const { hex, opacity } = parseColor(str);
+  if (!hex) return { r: 0, g: 0, b: 0, a: 0 };
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+    a: opacity,
+  };
+}
+
+function mixColors(a, b, t) {
+  return {
+    r: a.r + (b.r - a.r) * t,
+    g: a.g + (b.g - a.g) * t,
+    b: a.b + (b.b - a.b) * t,
+    a: a.a + (b.a - a.a) * t,
+  };
+}
+
+function toFraction(token, lineLength, isAngular) {
+  const match = token.match(POSITION_RE);
+  if (!match) return null;
+  const value = parseFloat(match[1]) * (token.startsWith('-') ? -1 : 1);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === '%') return value / 100;
+  if (isAngular) {
+    if (!unit && value === 0) return 0;
+    return ['deg', 'grad', 'rad', 'turn'].includes(unit) ? parseAngle(token) / 360 : null;
+  }
+  if (unit === 'px' || (!unit && value === 0)) return lineLength > 0 ? value / lineLength : 0;
+  return null;
+}
+
+/**
+ * Applies the CSS color stop fix-up rules: default first/last positions, monotonic positions,
+ * even distribution of unpositioned stops and transition hints.
+ */
+function resolveStops(parts, lineLength, isAngular) {
+  const entries = [];
+  parts.forEach((part) => {
+    const tokens = splitCssList(part, /\s/);
+    if (tokens.length === 1 && POSITION_RE.test(tokens[0])) {
+      const hint = toFraction(tokens[0], lineLength, isAngular);
+      if (hint !== null) entries.push({ hint });
+      return;
+    }
+    const color = toRgba(tokens[0]);
+    const positions = tokens
+      .slice(1)
+      .map((t) => toFraction(t, lineLength, isAngular))
+      .filter((p) => p !== null);
+    if (positions.length === 0) entries.push({ color, offset: null });
+    positions.slice(0, 2).forEach((offset) => entries.push({ color, offset }));
+  });
+
+  const stopEntries = entries.filter((e) => e.color);
+  if (stopEntries.length === 0) return [];
+  if (stopEntries[0].offset === null) stopEntries[0].offset = 0;
+  if (stopEntries[stopEntries.length - 1].offset === null) {
+    stopEntries[stopEntries.length - 1].offset = Math.max(
+      1,
+      ...stopEntries.map((s) => (s.offset === null ? -Infinity : s.offset))
+    );
+  }
+
+  // Positions may never go backwards
+  let maxOffset = -Infinity;
+  entries.forEach((e) => {
+    const key = e.color ? 'offset' : 'hint';
+    if (e[key] === null) return;
+    e[key] = Math.max(e[key], maxOffset);
+    maxOffset = e[key];
+  });
+
+  // Spread runs of unpositioned stops evenly between their positioned neighbours
+  for (let i = 0; i < stopEntries.length; i++) {
+    if (stopEntries[i].offset !== null) continue;
+    let end = i;
+    while (stopEntries[end].offset === null) end++;
+    const start = stopEntries[i - 1].offset;
+    const step = (stopEntries[end].offset - start) / (end - i + 1);
+    for (let j = i; j < end; j++) stopEntries[j].offset = start + step * (j - i + 1);
+    i = end;
+  }
+
+  // Expand hints into intermediate stops following the CSS interpolation curve
+  const stops = [];
+  entries.forEach((e, i) => {
+    if (e.color) {
+      stops.push({ offset: e.offset, color: e.color });
+      return;
+    }
+    const prev = entries[i - 1];
+    const next = entries[i + 1];
+    if (!prev || !next || !prev.color || !next.color) return;
+    const span = next.offset - prev.offset;
+    if (span <= 0) return;
+    const hint = (e.hint - prev.offset) / span;
+    if (hint <= 0) {
+      stops.push({ offset: prev.offset, color: next.color });
+    } else if (hint >= 1) {
+      stops.push({ offset: next.offset, color: prev.color });
+    } else if (Math.abs(hint - 0.5) > 0.001) {
+      const exponent = Math.log(0.5) / Math.log(hint);
+      for (let k = 1; k < 8; k++) {
+        const t = k / 8;
+        stops.push({
+          offset: prev.offset + t * span,
+          color: mixColors(prev.color, next.color, Math.pow(t, exponent)),
+        });
+      }
+    }
+  });
+
+  return fixTransparentStops(stops);
+}
+
+/**
+ * CSS interpolates in premultiplied alpha, so `transparent` fades to the neighbouring color
+ * instead of through black. Borrow the RGB of the nearest visible stop to match.
+ */
+function fixTransparentStops(stops) {
+  return stops.map((stop, i) => {
+    if (stop.color.a > 0) return stop;
+    const neighbour =
+      stops
+        .slice(0, i)
+        .reverse()
+        .find((s) => s.color.a > 0) || stops.slice(i + 1).find((s) => s.color.a > 0);
+    return neighbour ? { ...stop, color: { ...neighbour.color, a: 0 } } : stop;
+  });
+}
+
+function repeatStops(stops, extent) {
+  const first = stops[0].offset;
+  const period = stops[stops.length - 1].offset - first;
+  // A zero-length repeating gradient paints the average color; the last stop is close enough
+  if (period <= 0) return [{ offset: 0, color: stops[stops.length - 1].color }];
+
+  const startK = Math.floor((0 - first) / period);
+  const endK = Math.min(Math.ceil((extent - first) / period), startK + MAX_REPEATS);
+  const result = [];
+  for (let k = startK; k <= endK; k++) {
+    stops.forEach((stop) => result.push({ offset: stop.offset + k * period, color: stop.color }));
+  }
+  return result;
+}
+
+function clipStops(stops, min, max) {
+  if (stops.length === 1) {
+    return [
+      { offset: min, color: stops[0].color },
+      { offset: max, color: stops[0].color },
+    ];
+  }
+  const inside = stops.filter((s) => s.offset > min && s.offset < max);
+  return [
+    { offset: min, color: sampleStops(stops, min) },
+    ...inside,
+    { offset: max, color: sampleStops(stops, max) },
+  ];
+}
+
+function stopsToSVG(stops) {
+  return stops
+    .map((stop) => {
+      const { r, g, b, a } = stop.color;
+      const offset = Math.min(Math.max(stop.offset, 0), 1);
+      return `<stop offset="${offset}" stop-color="rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})" stop-opacity="${a}"/>`;
+    })
+    .join('');
+}
+
+/**
+ * SVG has no conic gradient, so paint it as thin wedges around the center, merging
+ * neighbouring wedges of the same color (hard stops, solid sectors).
+ */
+function conicToSVG(gradient, w, h) {
+  const { cx, cy, from, stops } = gradient;
+  const radius =
+    Math.max(
+      Math.hypot(cx, cy),
+      Math.hypot(w - cx, cy),
+      Math.hypot(cx, h - cy),
+      Math.hypot(w - cx, h - cy)
+    ) + 1;
+  const steps = 360;
+  const point = (t) => {
+    const rad = ((from + t * 360) * Math.PI) / 180;
+    return `${cx + radius * Math.sin(rad)} ${cy - radius * Math.cos(rad)}`;
+  };
+  const colorKey = (c) =>
+    `${Math.round(c.r)},${Math.round(c.g)},${Math.round(c.b)},${c.a.toFixed(3)}`;
+
+  let paths = '';
+  let start = 0;
+  let current = sampleStops(stops, 0.5 / steps);
+  for (let i = 1; i <= steps; i++) {
+    const next = i < steps ? sampleStops(stops, (i + 0.5) / steps) : null;
+    if (next && colorKey(next) === colorKey(current)) continue;
+
+    const { r, g, b, a } = current;
+    const fill = `fill="rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})" fill-opacity="${a}"`;
+    if (start === 0 && i === steps) {
+      // A single color all the way around; an arc back onto itself would not render
+      return `<rect x="0" y="0" width="${w}" height="${h}" ${fill} />`;
+    }
+
+    // Overlap by a fraction of a step to hide anti-aliasing seams between wedges
+    const t0 = start / steps;
+    const t1 = Math.min((i + 0.25) / steps, 1);
+    const large = t1 - t0 > 0.5 ? 1 : 0;
+    paths += `<path d="M ${cx} ${cy} L ${point(t0)} A ${radius} ${radius} 0 ${large} 1 ${point(t1)} Z" ${fill} />`;
+
+    start = i;
+    current = next;
+  }
+  return paths;
+}
@@ -1,18 +1,135 @@
 // src/image-processor.js
+import { generateGradientSVG, isGradient, splitCssList } from './gradient-parser.js';
 
-export async function getProcessedImage(src, targetW, targetH, radius) {
+export const IMAGE_FORMATS = ['png', 'jpeg', 'webp'];
+// Canvas px per CSS px when no `maxDpi` is set
+const DEFAULT_PIXEL_SCALE = 2;
+const MASK_PROPERTIES = ['Image', 'Size', 'Position', 'Repeat', 'Origin'];
+const BACKGROUND_PROPERTIES = [
+  'backgroundImage',
+  'backgroundColor',
+  'backgroundSize',
+  'backgroundRepeat',
+  'backgroundOrigin',
+  'backgroundPositionX',
+  'backgroundPositionY',
+  'borderTopWidth',
+  'borderRightWidth',
+  'borderBottomWidth',
+  'borderLeftWidth',
+  'paddingTop',
+  'paddingRight',
+  'paddingBottom',
+  'paddingLeft',
+];
+
+/**
+ * Output settings of the images generated for one slide.
+ * @param {{ format: string, quality: number, maxDpi: number | null, cache: Map | null } | null}
+ *   settings - Deck-wide image settings (`imageFormat`, `imageQuality`, `maxImageDpi`,
+ *   `imageCache` options).
+ * @param {number} slideScale - Layout scale of the slide (slide inches per CSS inch).
+ * @returns {{ format: string, quality: number, scale: number | null, cache: Map | null }} -
+ *   `scale` is the canvas px per CSS px that reaches `maxDpi` on the slide, or null without
+ *   `maxDpi` (each image kind keeps its default density).
+ */
+export function resolveImageOptions(settings, slideScale) {
+  const { format = 'png', quality = 0.85, maxDpi = null, cache = null } = settings || {};
+  const scale = maxDpi > 0 ? (maxDpi * slideScale) / 96 : null;
+  return { format, quality, scale, cache };
+}
+
+/**
+ * Encodes a finished canvas. JPEG only applies to fully opaque images, anything with
+ * transparency stays PNG (WebP keeps its alpha channel). Browsers without a WebP encoder
+ * return PNG.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ format: string, quality: number } | null} imageOptions
+ * @returns {string} - Data URL. Throws for canvases tainted by cross-origin content.
+ */
+export function encodeCanvas(canvas, imageOptions) {
+  const { format = 'png', quality = 0.85 } = imageOptions || {};
+  if (format === 'webp') return canvas.toDataURL('image/webp', quality);
+  if (format === 'jpeg' && !hasTransparency(canvas)) {
+    return canvas.toDataURL('image/jpeg', quality);
+  }
+  return canvas.toDataURL('image/png');
+}
+
+function hasTransparency(canvas) {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+/**
+ * Shares the result of identical image jobs (same source, box and settings) within an export,
+ * so an image repeated on every slide is loaded and encoded once.
+ * @param {Array} key - Everything the output depends on.
+ * @param {Function} produce - Returns the promise of the image.
+ */
+function withImageCache(imageOptions, key, produce) {
+  const cache = imageOptions && imageOptions.cache;
+  if (!cache) return produce();
+  const { format, quality, scale } = imageOptions;
+  const cacheKey = JSON.stringify([...key, format, quality, scale]);
+  if (!cache.has(cacheKey)) cache.set(cacheKey, produce());
+  return cache.get(cacheKey);
+}
+
+function getMaskKey(maskStyle) {
+  if (!maskStyle) return null;
+  return MASK_PROPERTIES.map((name) => maskStyle[`mask${name}`] || maskStyle[`webkitMask${name}`]);
+}
+
+/**
+ * Crops an image to its box (object-fit: cover) with rounded corners, and optionally a
+ * `clip-path` shape and the element's `mask-image`.
+ * @param {string} src - Image URL.
+ * @param {number} targetW - Box width in px.
+ * @param {number} targetH - Box height in px.
+ * @param {number | {tl: number, tr: number, br: number, bl: number}} radius - Corner radii.
+ * @param {string | null} [clipPath] - SVG path data of the clip shape, in px.
+ * @param {CSSStyleDeclaration | null} [maskStyle] - Computed style holding `mask-*`.
+ * @param {Object | null} [imageOptions] - From `resolveImageOptions`.
+ * @returns {Promise<string | null>}
+ */
+export async function getProcessedImage(
+  src,
+  targetW,
+  targetH,
+  radius,
+  clipPath = null,
+  maskStyle = null,
+  imageOptions = null
+) {
+  const key = ['img', src, targetW, targetH, radius, clipPath, getMaskKey(maskStyle)];
+  return withImageCache(imageOptions, key, () =>
+    processImage(src, targetW, targetH, radius, clipPath, maskStyle, imageOptions)
+  );
+}
+
+function processImage(src, targetW, targetH, radius, clipPath, maskStyle, imageOptions) {
   return new Promise((resolve) => {
     const img = new Image();
     img.crossOrigin = 'Anonymous'; // Critical for canvas manipulation
 
-    img.onload = () => {
+    img.onload = async () => {
+      const wRatio = targetW / img.width;
+      const hRatio = targetH / img.height;
+      const maxRatio = Math.max(wRatio, hRatio);
+
       const canvas = document.createElement('canvas');
-      // Double resolution for better quality
-      const scale = 2;
-      canvas.width = targetW * scale;
-      canvas.height = targetH * scale;
+      // No more pixels than the source has in the visible crop (but at least one per CSS px,
+      // for clean rounded edges). Vector sources without a size get the full density.
+      let scale = (imageOptions && imageOptions.scale) || DEFAULT_PIXEL_SCALE;
+      if (isFinite(maxRatio)) scale = Math.min(scale, Math.max(1 / maxRatio, 1));
+      canvas.width = Math.max(Math.round(targetW * scale), 1);
+      canvas.height = Math.max(Math.round(targetH * scale), 1);
       const ctx = canvas.getContext('2d');
-      ctx.scale(scale, scale);
+      ctx.scale(canvas.width / targetW, canvas.height / targetH);
 
       // Normalize radius input to an object { tl, tr, br, bl }
       let r = { tl: 0, tr: 0, br: 0, bl: 0 };
@@ -24,35 +141,7 @@ export async function getProcessedImage(src, targetW, targetH, radius) {
 
       // 1. Draw the Mask (Custom Shape with specific corners)
       ctx.beginPath();
-
-      // Border Radius Clamping Logic (CSS Spec)
-      // Prevents corners from overlapping if radii are too large for the container
-      const factor = Math.min(
-        targetW / (r.tl + r.tr) || Infinity,
-        targetH / (r.tr + r.br) || Infinity,
-        targetW / (r.br + r.bl) || Infinity,
-        targetH / (r.bl + r.tl) || Infinity
-      );
-
-      if (factor < 1) {
-        r.tl *= factor;
-        r.tr *= factor;
-        r.br *= factor;
-        r.bl *= factor;
-      }
-
-      // Draw path: Top-Left -> Top-Right -> Bottom-Right -> Bottom-Left
-      ctx.moveTo(r.tl, 0);
-      ctx.lineTo(targetW - r.tr, 0);
-      ctx.arcTo(targetW, 0, targetW, r.tr, r.tr);
-      ctx.lineTo(targetW, targetH - r.br);
-      ctx.arcTo(targetW, targetH, targetW - r.br, targetH, r.br);
-      ctx.lineTo(r.bl, targetH);
-      ctx.arcTo(0, targetH, 0, targetH - r.bl, r.bl);
-      ctx.lineTo(0, r.tl);
-      ctx.arcTo(0, 0, r.tl, 0, r.tl);
-
-      ctx.closePath();
+      traceRoundedRect(ctx, targetW, targetH, r);
       ctx.fillStyle = '#000';
       ctx.fill();
 
@@ -60,9 +149,6 @@ export async function getProcessedImage(src, targetW, targetH, radius) {
       ctx.globalCompositeOperation = 'source-in';
 
       // 3. Draw Image (Object Cover Logic)
-      const wRatio = targetW / img.width;
-      const hRatio = targetH / img.height;
-      const maxRatio = Math.max(wRatio, hRatio);
       const renderW = img.width * maxRatio;
       const renderH = img.height * maxRatio;
       const renderX = (targetW - renderW) / 2;
@@ -70,10 +156,540 @@ export async function getProcessedImage(src, targetW, targetH, radius) {
 
       ctx.drawImage(img, renderX, renderY, renderW, renderH);
 
-      resolve(canvas.toDataURL('image/png'));
+      // 4. clip-path and mask-image cut into the alpha channel
+      await applyClipAndMask(ctx, targetW, targetH, clipPath, maskStyle);
+
+      try {
+        resolve(encodeCanvas(canvas, imageOptions));
+      } catch {
+        // Tainted canvas (image served without CORS headers)
+        resolve(null);
+      }
     };
 
     img.onerror = () => resolve(null);
     img.src = src;
   });
 }
+
+/**
+ * Composites every `background-image` layer (url() images and gradients) of an element,
+ * honoring background-size, background-position, background-repeat and background-origin,
+ * then crops the result to the border box and its corner radii.
+ * @param {CSSStyleDeclaration} style - Computed style of the element.
+ * @param {number} targetW - Border-box width in px.
+ * @param {number} targetH - Border-box height in px.
+ * @param {{tl: number, tr: number, br: number, bl: number}} radius - Corner radii.
+ * @param {{color: string, width: number} | null} border - Optional uniform border stroke.
+ * @param {string | null} [clipPath] - SVG path data of a `clip-path` shape, in px. The
+ *   element's `mask-image` is applied as well.
+ * @param {Object | null} [imageOptions] - From `resolveImageOptions`.
+ * @returns {Promise<string | null>} - Data URL, or null if no layer could be drawn.
+ */
+export async function getBackgroundImage(
+  style,
+  targetW,
+  targetH,
+  radius,
+  border,
+  clipPath = null,
+  imageOptions = null
+) {
+  const layers = splitCssList(style.backgroundImage).filter((l) => l !== 'none');
+  if (layers.length === 0) return null;
+
+  const key = [
+    'background',
+    ...BACKGROUND_PROPERTIES.map((name) => style[name]),
+    targetW,
+    targetH,
+    radius,
+    border,
+    clipPath,
+    getMaskKey(style),
+  ];
+  return withImageCache(imageOptions, key, () =>
+    paintBackground(style, layers, targetW, targetH, radius, border, clipPath, imageOptions)
+  );
+}
+
+async function paintBackground(
+  style,
+  layers,
+  targetW,
+  targetH,
+  radius,
+  border,
+  clipPath,
+  imageOptions
+) {
+  const canvas = document.createElement('canvas');
+  const scale = (imageOptions && imageOptions.scale) || DEFAULT_PIXEL_SCALE;
+  canvas.width = Math.max(Math.ceil(targetW * scale), 1);
+  canvas.height = Math.max(Math.ceil(targetH * scale), 1);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(canvas.width / targetW, canvas.height / targetH);
+
+  const bgColor = style.backgroundColor;
+  if (bgColor && bgColor !== 'transparent' && !bgColor.startsWith('rgba(0, 0, 0, 0)')) {
+    ctx.fillStyle = bgColor;
+    ctx.fillRect(0, 0, targetW, targetH);
+  }
+
+  const drawn = await drawImageLayers(ctx, style, layers, {
+    sizes: splitCssList(style.backgroundSize),
+    repeats: splitCssList(style.backgroundRepeat),
+    origins: splitCssList(style.backgroundOrigin),
+    posX: splitCssList(style.backgroundPositionX),
+    posY: splitCssList(style.backgroundPositionY),
+    defaultOrigin: 'padding-box',
+    width: targetW,
+    height: targetH,
+  });
+  if (drawn === 0) return null;
+
+  // Crop everything to the border box and its rounded corners
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.beginPath();
+  traceRoundedRect(ctx, targetW, targetH, { ...radius });
+  ctx.fillStyle = '#000';
+  ctx.fill();
+  ctx.globalCompositeOperation = 'source-over';
+
+  if (border && border.width > 0) {
+    const inset = border.width / 2;
+    ctx.save();
+    ctx.translate(inset, inset);
+    ctx.beginPath();
+    traceRoundedRect(ctx, targetW - border.width, targetH - border.width, {
+      tl: Math.max(radius.tl - inset, 0),
+      tr: Math.max(radius.tr - inset, 0),
+      br: Math.max(radius.br - inset, 0),
+      bl: Math.max(radius.bl - inset, 0),
+    });
+    ctx.lineWidth = border.width;
+    ctx.strokeStyle = `#${border.color}`;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  await applyClipAndMask(ctx, targetW, targetH, clipPath, style);
+
+  try {
+    return encodeCanvas(canvas, imageOptions);
+  } catch {
+    // Tainted canvas (image served without CORS headers)
+    return null;
+  }
+}
+
+/**
+ * Paints `background-image`-style layers (url() images and gradients) with their size,
+ * position, repeat and origin lists. The first layer ends up on top.
+ * @returns {Promise<number>} - Number of layers drawn.
+ */
+async function drawImageLayers(ctx, style, layers, props) {
+  const { sizes, repeats, origins, posX, posY, defaultOrigin, width, height } = props;
+  const pick = (list, i, fallback) => (list.length ? list[i % list.length] : fallback);
+
+  let drawn = 0;
+  // The first layer is painted on top, so draw them in reverse order
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const area = getOriginBox(style, pick(origins, i, defaultOrigin), width, height);
+    if (area.w <= 0 || area.h <= 0) continue;
+
+    let source = null;
+    let intrinsic = null;
+    if (isGradient(layer)) {
+      // Gradients have no intrinsic size; they are rendered at the resolved tile size below
+      intrinsic = null;
+    } else {
+      const url = layer.match(/^url\((['"]?)(.*)\1\)$/);
+      if (!url) continue;
+      source = await loadImage(url[2]);
+      if (!source) continue;
+      intrinsic = {
+        w: source.naturalWidth || source.width,
+        h: source.naturalHeight || source.height,
+      };
+      if (!intrinsic.w || !intrinsic.h) continue;
+    }
+
+    const size = pick(sizes, i, 'auto');
+    const [repeatX, repeatY] = resolveBackgroundRepeat(pick(repeats, i, 'repeat'));
+    const tile = roundTile(resolveBackgroundSize(size, area, intrinsic), area, size, [
+      repeatX,
+      repeatY,
+    ]);
+    if (tile.w <= 0 || tile.h <= 0) continue;
+
+    if (!source) {
+      const svg = generateGradientSVG(tile.w, tile.h, layer, 0, null, null);
+      source = svg ? await loadImage(svg) : null;
+      if (!source) continue;
+    }
+
+    const x = layoutRepeatAxis(
+      repeatX,
+      area.x,
+      area.w,
+      tile.w,
+      resolveBackgroundPosition(pick(posX, i, '0%'), area.w - tile.w)
+    );
+    const y = layoutRepeatAxis(
+      repeatY,
+      area.y,
+      area.h,
+      tile.h,
+      resolveBackgroundPosition(pick(posY, i, '0%'), area.h - tile.h)
+    );
+
+    if (x.step || y.step) {
+      fillTiles(ctx, source, tile, x, y, width, height);
+    } else {
+      ctx.drawImage(source, x.offset, y.offset, tile.w, tile.h);
+    }
+    drawn++;
+  }
+
+  return drawn;
+}
+
+/**
+ * Applies a `clip-path` shape (SVG path data) and the `mask-image` layers of `maskStyle`
+ * (alpha masks; several layers add up) to everything drawn so far.
+ */
+async function applyClipAndMask(ctx, width, height, clipPath, maskStyle) {
+  const maskImage = maskStyle && (maskStyle.maskImage || maskStyle.webkitMaskImage);
+  const layers = splitCssList(maskImage || 'none').filter((l) => l !== 'none');
+
+  if (layers.length > 0) {
+    // Same density as the image being masked
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = ctx.canvas.width;
+    maskCanvas.height = ctx.canvas.height;
+    const maskCtx = maskCanvas.getContext('2d');
+    maskCtx.scale(maskCanvas.width / width, maskCanvas.height / height);
+
+    const read = (name) =>
+      maskStyle[name] || maskStyle[`webkit${name[0].toUpperCase()}${name.slice(1)}`];
+    const positions = splitCssList(read('maskPosition') || '0% 0%').map((p) => p.split(/\s+/));
+    const drawn = await drawImageLayers(maskCtx, maskStyle, layers, {
+      sizes: splitCssList(read('maskSize') || 'auto'),
+      repeats: splitCssList(read('maskRepeat') || 'repeat'),
+      origins: splitCssList(read('maskOrigin') || 'border-box'),
+      posX: positions.map((p) => p[0]),
+      posY: positions.map((p) => p[1] || p[0]),
+      defaultOrigin: 'border-box',
+      width,
+      height,
+    });
+
+    if (drawn > 0) {
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.drawImage(maskCanvas, 0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.restore();
+    }
+  }
+
+  if (clipPath) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.fillStyle = '#000';
+    ctx.fill(new Path2D(clipPath));
+    ctx.restore();
+  }
+}
+
+/**
+ * Snapshots the current bitmap of a `<canvas>` into an image of its box (honoring
+ * `object-fit`). WebGL canvases read back empty unless their context was created with
+ * `preserveDrawingBuffer: true`, so blank captures are dropped with a warning.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} width - Box width in px.
+ * @param {number} height - Box height in px.
+ * @param {string} [objectFit='fill'] - Computed `object-fit`.
+ * @param {number} [scale=2] - Canvas px per CSS px of the snapshot.
+ * @returns {string | null} - PNG data URL, or null for tainted, empty or blank canvases.
+ */
+export function captureCanvas(canvas, width, height, objectFit = 'fill', scale = 2) {
+  if (!canvas.width || !canvas.height) return null;
+  try {
+    const blank = document.createElement('canvas');
+    blank.width = canvas.width;
+    blank.height = canvas.height;
+    if (canvas.toDataURL() === blank.toDataURL()) {
+      console.warn(
+        'Skipping blank canvas. WebGL contexts must be created with preserveDrawingBuffer: true to be exported.',
+        canvas
+      );
+      return null;
+    }
+    return drawFitted(canvas, canvas.width, canvas.height, width, height, objectFit, scale);
+  } catch (e) {
+    // Cross-origin drawings taint the canvas and block reading it back
+    console.warn('Canvas capture failed (tainted by cross-origin content?)', canvas, e);
+    return null;
+  }
+}
+
+/**
+ * Snapshots the frame a `<video>` is showing, or its `poster` when no frame is loaded yet or
+ * the video is cross-origin.
+ * @param {HTMLVideoElement} video
+ * @param {number} width - Box width in px.
+ * @param {number} height - Box height in px.
+ * @param {string} [objectFit='contain'] - Computed `object-fit`.
+ * @param {number} [scale=2] - Canvas px per CSS px of the snapshot.
+ * @returns {Promise<string | null>} - PNG data URL.
+ */
+export async function captureVideoFrame(video, width, height, objectFit = 'contain', scale = 2) {
+  // HAVE_CURRENT_DATA: the current frame can be drawn
+  if (video.readyState >= 2 && video.videoWidth > 0) {
+    try {
+      const { videoWidth, videoHeight } = video;
+      return drawFitted(video, videoWidth, videoHeight, width, height, objectFit, scale);
+    } catch (e) {
+      console.warn('Video frame capture failed, falling back to the poster', video, e);
+    }
+  }
+  if (!video.poster) return null;
+
+  const poster = await loadImage(video.poster);
+  if (!poster) return null;
+  try {
+    return drawFitted(poster, poster.width, poster.height, width, height, objectFit, scale);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Draws a source into a canvas of the box size (`scale` px per CSS px), placed like
+ * `object-fit` does (centered). Stays PNG: the result is an intermediate for
+ * `getProcessedImage` or a media cover.
+ */
+function drawFitted(source, srcW, srcH, width, height, objectFit, scale) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(Math.round(width * scale), 1);
+  canvas.height = Math.max(Math.round(height * scale), 1);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+
+  let drawW = width;
+  let drawH = height;
+  if (objectFit !== 'fill') {
+    const contain = Math.min(width / srcW, height / srcH);
+    const ratios = {
+      contain,
+      cover: Math.max(width / srcW, height / srcH),
+      none: 1,
+      'scale-down': Math.min(contain, 1),
+    };
+    const ratio = ratios[objectFit] ?? 1;
+    drawW = srcW * ratio;
+    drawH = srcH * ratio;
+  }
+
+  ctx.drawImage(source, (width - drawW) / 2, (height - drawH) / 2, drawW, drawH);
+  return canvas.toDataURL('image/png');
+}
+
+function loadImage(src) {
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'Anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+/**
+ * Adds a rounded rectangle to the current path, clamping radii like the CSS spec does.
+ * Mutates `r`.
+ */
+function traceRoundedRect(ctx, w, h, r) {
+  // Border Radius Clamping Logic (CSS Spec)
+  // Prevents corners from overlapping if radii are too large for the container
+  const factor = Math.min(
+    w / (r.tl + r.tr) || Infinity,
+    h / (r.tr + r.br) || Infinity,
+    w / (r.br + r.bl) || Infinity,
+    h / (r.bl + r.tl) || Infinity
+  );
+
+  if (factor < 1) {
+    r.tl *= factor;
+    r.tr *= factor;
+    r.br *= factor;
+    r.bl *= factor;
+  }
+
+  // Draw path: Top-Left -> Top-Right -> Bottom-Right -> Bottom-Left
+  ctx.moveTo(r.tl, 0);
+  ctx.lineTo(w - r.tr, 0);
+  ctx.arcTo(w, 0, w, r.tr, r.tr);
+  ctx.lineTo(w, h - r.br);
+  ctx.arcTo(w, h, w - r.br, h, r.br);
+  ctx.lineTo(r.bl, h);
+  ctx.arcTo(0, h, 0, h - r.bl, r.bl);
+  ctx.lineTo(0, r.tl);
+  ctx.arcTo(0, 0, r.tl, 0, r.tl);
+  ctx.closePath();
+}
+
+/**
+ * Background positioning area for background-origin, relative to the border box.
+ */
+function getOriginBox(style, origin, w, h) {
+  const box = { x: 0, y: 0, w, h };
+  if (origin === 'border-box') return box;
+
+  const bl = parseFloat(style.borderLeftWidth) || 0;
+  const bt = parseFloat(style.borderTopWidth) || 0;
+  box.x += bl;
+  box.y += bt;
+  box.w -= bl + (parseFloat(style.borderRightWidth) || 0);
+  box.h -= bt + (parseFloat(style.borderBottomWidth) || 0);
+
+  if (origin === 'content-box') {
+    const pl = parseFloat(style.paddingLeft) || 0;
+    const pt = parseFloat(style.paddingTop) || 0;
+    box.x += pl;
+    box.y += pt;
+    box.w -= pl + (parseFloat(style.paddingRight) || 0);
+    box.h -= pt + (parseFloat(style.paddingBottom) || 0);
+  }
+  return box;
+}
+
+/**
+ * Resolves a background-size value into a tile size in px.
+ * `intrinsic` is null for gradients, which fill the positioning area when auto.
+ */
+function resolveBackgroundSize(value, area, intrinsic) {
+  const size = intrinsic || { w: area.w, h: area.h };
+  if (value === 'cover' || value === 'contain') {
+    const fn = value === 'cover' ? Math.max : Math.min;
+    const ratio = fn(area.w / size.w, area.h / size.h);
+    return intrinsic ? { w: size.w * ratio, h: size.h * ratio } : { w: area.w, h: area.h };
+  }
+
+  const [sw = 'auto', sh = 'auto'] = value.split(/\s+/);
+  const toPx = (v, total) => (v.endsWith('%') ? (parseFloat(v) / 100) * total : parseFloat(v));
+  let w = sw === 'auto' ? null : toPx(sw, area.w);
+  let h = sh === 'auto' ? null : toPx(sh, area.h);
+
+  if (w === null && h === null) return { w: size.w, h: size.h };
+  if (w === null) w = intrinsic ? (h * size.w) / size.h : area.w;
+  if (h === null) h = intrinsic ? (w * size.h) / size.w : area.h;
+  return { w, h };
+}
+
+/**
+ * Splits a background-repeat value into its horizontal and vertical keywords.
+ * @returns {string[]} - `[x, y]`, each `repeat`, `space`, `round` or `no-repeat`.
+ */
+function resolveBackgroundRepeat(value) {
+  const [first, second] = value.trim().split(/\s+/);
+  if (first === 'repeat-x') return ['repeat', 'no-repeat'];
+  if (first === 'repeat-y') return ['no-repeat', 'repeat'];
+  return [first, second || first];
+}
+
+/**
+ * Shrinks or stretches the tile on `round` axes so a whole number of tiles fits the
+ * positioning area. When only one axis rounds and the size of the other is `auto`, that
+ * one follows to keep the aspect ratio.
+ */
+function roundTile(tile, area, size, [repeatX, repeatY]) {
+  const fit = (extent, length) => extent / Math.max(Math.round(extent / length), 1);
+  const w = repeatX === 'round' ? fit(area.w, tile.w) : tile.w;
+  const h = repeatY === 'round' ? fit(area.h, tile.h) : tile.h;
+  if (size === 'cover' || size === 'contain' || (repeatX === 'round') === (repeatY === 'round')) {
+    return { w, h };
+  }
+
+  const [sw = 'auto', sh = 'auto'] = size.split(/\s+/);
+  if (repeatX === 'round' && sh === 'auto') return { w, h: (h * w) / tile.w };
+  if (repeatY === 'round' && sw === 'auto') return { w: (w * h) / tile.h, h };
+  return { w, h };
+}
+
+/**
+ * Lays out the tiles of one axis: `offset` is where a tile starts and `step` the distance
+ * between tile starts (tile plus the `space` gap), 0 when the axis holds a single tile.
+ */
+function layoutRepeatAxis(repeat, start, extent, length, position) {
+  if (repeat === 'no-repeat') return { offset: start + position, step: 0 };
+  if (repeat === 'space') {
+    // Fewer than two whole tiles: one tile placed by background-position
+    const count = Math.floor(extent / length);
+    if (count < 2) return { offset: start + position, step: 0 };
+    return { offset: start, step: length + (extent - count * length) / (count - 1) };
+  }
+  return { offset: start + position, step: length };
+}
+
+/**
+ * Fills the painting area with a repeating pattern of one tile (and its `space` gap). The
+ * pattern cell is rendered at the context's pixel density and mapped back with the pattern
+ * transform; axes that don't repeat are limited to a single row or column.
+ */
+function fillTiles(ctx, source, tile, x, y, width, height) {
+  const stepX = x.step || tile.w;
+  const stepY = y.step || tile.h;
+  const { a, d } = ctx.getTransform();
+  const cell = document.createElement('canvas');
+  cell.width = Math.max(Math.round(stepX * Math.abs(a)), 1);
+  cell.height = Math.max(Math.round(stepY * Math.abs(d)), 1);
+  const cellScaleX = cell.width / stepX;
+  const cellScaleY = cell.height / stepY;
+  cell.getContext('2d').drawImage(source, 0, 0, tile.w * cellScaleX, tile.h * cellScaleY);
+
+  const pattern = ctx.createPattern(cell, 'repeat');
+  pattern.setTransform(
+    new DOMMatrix().translate(x.offset, y.offset).scale(1 / cellScaleX, 1 / cellScaleY)
+  );
+  ctx.save();
+  ctx.fillStyle = pattern;
+  ctx.fillRect(
+    x.step ? 0 : x.offset,
+    y.step ? 0 : y.offset,
+    x.step ? width : tile.w,
+    y.step ? height : tile.h
+  );
+  ctx.restore();
+}
+
+/**
+ * Resolves one axis of background-position. `free` is the positioning area minus the tile
+ * size, which is what percentages refer to.
+ */
+function resolveBackgroundPosition(value, free) {
+  const v = value.trim();
+  const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+  // Edge offsets: `right 10px`, `bottom 20%`
+  const edge = v.match(/^(left|right|top|bottom|center)(?:\s+(-?[\d.]+)(px|%))?$/);
+  if (edge) {
+    const base = keywords[edge[1]] * free;
+    if (!edge[2]) return base;
+    const offset = edge[3] === '%' ? (parseFloat(edge[2]) / 100) * free : parseFloat(edge[2]);
+    return edge[1] === 'right' || edge[1] === 'bottom' ? base - offset : base + offset;
+  }
+
+  // calc(100% - 10px) and friends
+  const calc = v.match(/^calc\(\s*(-?[\d.]+)%\s*([+-])\s*([\d.]+)px\s*\)$/);
+  if (calc) {
+    const px = parseFloat(calc[3]) * (calc[2] === '-' ? -1 : 1);
+    return (parseFloat(calc[1]) / 100) * free + px;
+  }
+
+  if (v.endsWith('%')) return (parseFloat(v) / 100) * free;
+  return parseFloat(v) || 0;
+}
@@ -9,9 +9,10 @@ import {
   parseColor,
   getTextStyle,
   isTextContainer,
-  getVisibleShadow,
-  generateGradientSVG,
-  getRotation,
+  getElementMatrix,
+  getAncestorMatrix,
+  multiplyMatrix,
+  decomposeMatrix,
   getPadding,
   getSoftEdges,
   generateBlurredSVG,
@@ -19,16 +20,144 @@ import {
   generateCompositeBorderSVG,
   isClippedByParent,
   generateCustomShapeSVG,
+  resolveSlideLayout,
+  getFitScale,
+  getTextParts,
+  getTextShadow,
+  getSlideNotes,
+  getHyperlink,
+  getRunHyperlink,
+  svgToDataURL,
 } from './utils.js';
-import { getProcessedImage } from './image-processor.js';
+import {
+  getProcessedImage,
+  getBackgroundImage,
+  captureCanvas,
+  captureVideoFrame,
+  resolveImageOptions,
+  encodeCanvas,
+  IMAGE_FORMATS,
+} from './image-processor.js';
+import { getTableData } from './table-processor.js';
+import { getBoxShadowPlan, createShadowItems } from './shadow-processor.js';
+import { parseClipPath, toSvgPathData, toCustomGeometry } from './clip-path.js';
+import { getChartSpec, createChartItem, DEFAULT_CHART_ADAPTERS } from './chart-processor.js';
+import { isFormControl, getFormControlText, createFormControlShapes } from './form-processor.js';
+import { materializePseudoElements } from './pseudo-elements.js';
+import { getSlideTransition, getElementAnimation } from './animation-processor.js';
+import {
+  createSlideReport,
+  describeNode,
+  getIgnoredProperties,
+  recordRenderItems,
+  showDebugOverlay,
+} from './fidelity-report.js';
+import { generateGradientSVG, getNativeGradient } from './gradient-parser.js';
+import {
+  getListParts,
+  getListItemBullet,
+  isListContainer,
+  applyListParagraph,
+} from './list-processor.js';
+import {
+  postProcessPptx,
+  applyGradientFills,
+  applyBulletColors,
+  applyRunShadows,
+  applySlideTiming,
+  saveBlob,
+} from './pptx-postprocessor.js';
+
+export { createChartJsAdapter, jsonChartAdapter } from './chart-processor.js';
+export { showDebugOverlay } from './fidelity-report.js';
 
 const PPI = 96;
 const PX_TO_INCH = 1 / PPI;
+const FIT_MODES = ['contain', 'cover', 'stretch', 'none'];
+const OUTPUT_TYPES = ['blob', 'arraybuffer', 'uint8array', 'base64'];
+const PLACEHOLDER_TYPES = ['title', 'body'];
+const DEFAULT_MASTER_NAME = 'DOM Master';
+const SLIDE_ERROR_POLICIES = ['abort', 'skip', 'raster'];
+// Async jobs (snapshots, image processing) run per slide in a pool of this size, so an abort
+// stops the ones not started yet
+const JOB_CONCURRENCY = 8;
 
 /**
  * Main export function. Accepts single element or an array.
  * @param {HTMLElement | string | Array<HTMLElement | string>} target - The root element(s) to convert.
- * @param {Object} options - { fileName: string }
+ * @param {Object} options - { fileName, layout, fit, output, compression, notes, svg, nativeGradients,
+ *   video, fontMap, onFonts, chartAdapters, master, onProgress, signal, slideErrors, report,
+ *   debugOverlay, imageFormat, imageQuality, maxImageDpi, imageCache }
+ * @param {string} [options.fileName='export.pptx'] - Name of the downloaded file.
+ * @param {string | {width: number, height: number}} [options.layout='16x9'] - Preset name
+ *   ('16x9', '16x10', '4x3', 'wide', 'a4', 'a4-portrait', 'letter', 'letter-portrait'),
+ *   custom size in inches (with an optional `name`), or 'auto' to match the aspect ratio of
+ *   the first root element. Unknown presets and invalid sizes throw.
+ * @param {'contain' | 'cover' | 'stretch' | 'none'} [options.fit='contain'] - How the root
+ *   element is scaled into the slide. 'none' keeps 1 CSS px = 1/96 inch. Unknown modes throw.
+ * @param {'file' | 'blob' | 'arraybuffer' | 'uint8array' | 'base64' | 'pptx'} [options.output='file']
+ *   'file' triggers a download, 'pptx' returns the PptxGenJS instance without writing, the
+ *   others resolve with the generated deck in that format.
+ * @param {boolean} [options.compression=false] - Compress the zip container.
+ * @param {string | Function | false} [options.notes='aside.notes'] - Speaker notes source: a
+ *   selector for notes elements inside each root (excluded from the slide), a
+ *   `(root, index) => string` callback (`aside.notes` elements are still excluded), or false
+ *   to disable. `data-pptx-notes` on the root always takes precedence.
+ * @param {'vector' | 'raster'} [options.svg='vector'] - Embed inline <svg> as vector images
+ *   (crisp and recolorable in PowerPoint) or rasterize them with html2canvas.
+ * @param {'frame' | 'embed'} [options.video='frame'] - Export <video> as the frame it shows
+ *   (or its poster), or embed the video file with `addMedia`, using that frame as cover.
+ *   Embedded sources must be fetchable (same-origin or CORS).
+ * @param {boolean} [options.nativeGradients=false] - Emit simple linear/radial gradients as
+ *   editable shape fills (patched into the slide XML) instead of SVG images. Ignored when
+ *   `output` is 'pptx', since the deck is never written.
+ * @param {Object<string, string>} [options.fontMap] - Font substitutions applied while walking
+ *   each `font-family` stack, e.g. `{ Inter: 'Calibri' }`. Takes precedence over the built-in
+ *   table for generic and web-only families. Keys with a weight (`'Inter 500'`) name the face
+ *   of intermediate weights.
+ * @param {Function} [options.onFonts] - Called with the fonts the deck depends on:
+ *   `[{ name, requested, source: 'mapped' | 'web' | 'system' | 'substituted' }]`. Web fonts
+ *   must be installed on the presenting machine to render as designed.
+ * @param {Array<{ match: Function, getChart: Function }>} [options.chartAdapters] - Export
+ *   chart elements as native PowerPoint charts. `match(el)` claims an element and
+ *   `getChart(el)` returns its spec (see `jsonChartAdapter`), or null to render it as usual.
+ *   Tried before the built-in `data-pptx-chart` and Chart.js adapters.
+ * @param {HTMLElement | string} [options.master] - Template element converted once into the
+ *   slide master every slide is based on (named by its `data-pptx-master` attribute). Inside
+ *   it, `data-pptx-placeholder="title" | "body"` marks placeholders, filled by slide elements
+ *   with the same attribute, and `data-pptx-slide-number` the slide number field.
+ * @param {Function} [options.onProgress] - Called as the export advances with
+ *   `{ phase, slideIndex, slideCount, ... }`. Phases: 'start' (with the `missing` targets),
+ *   'master', 'slide' (a slide starts), 'jobs' (`pendingJobs` of `totalJobs` async image jobs
+ *   left), 'slideDone' (`status` 'done', 'raster' or 'skipped', and the `error`) and 'write'.
+ * @param {AbortSignal} [options.signal] - Aborting stops the traversal and the pending jobs;
+ *   the export rejects with the signal's reason.
+ * @param {'abort' | 'skip' | 'raster'} [options.slideErrors='abort'] - What a slide that fails
+ *   to export does: reject the whole export, leave the slide out, or put a single html2canvas
+ *   snapshot of the root in its place (left out too if that fails).
+ * @param {boolean} [options.report=false] - Resolve with `{ result, report }`, where `result`
+ *   is the usual value and `report` lists per slide the nodes exported as native objects,
+ *   rasterized (and why), skipped (with the failing image URL) and the computed properties
+ *   that were ignored: `{ missing, slides: [{ index, root, status, error, native, rasterized,
+ *   skipped, ignored }] }`.
+ * @param {boolean} [options.debugOverlay=false] - Outline the rasterized, skipped and
+ *   ignored-property nodes on the page once the slides are built (see `showDebugOverlay`).
+ *   The report is collected for it, but only `report: true` changes the resolved value; its
+ *   `removeOverlay()` then clears the overlay (the next overlay replaces it otherwise).
+ * @param {'png' | 'jpeg' | 'webp'} [options.imageFormat='png'] - Encoding of the generated
+ *   images (processed `<img>`, backgrounds, snapshots). 'jpeg' keeps PNG for images with
+ *   transparency; 'webp' keeps the alpha channel but needs PowerPoint 2019/365.
+ * @param {number} [options.imageQuality=0.85] - JPEG/WebP quality, 0 to 1.
+ * @param {number} [options.maxImageDpi] - Resolution of the generated images at their final
+ *   size on the slide (e.g. 150), never above what the source provides. By default images
+ *   are drawn at twice their CSS size.
+ * @param {boolean} [options.imageCache=true] - Process identical images (same source, size
+ *   and clipping) once and embed a single copy shared by every slide.
+ *
+ * Slide transitions (`data-pptx-transition` on a root) and entrance animations
+ * (`data-pptx-animate` on its elements) are patched into the written slides, so they are
+ * dropped when `output` is 'pptx'.
+ * @returns {Promise<string | Blob | ArrayBuffer | Uint8Array | PptxGenJS | Object>}
  */
 export async function exportToPptx(target, options = {}) {
   const resolvePptxConstructor = (pkg) => {
@@ -44,56 +173,442 @@ export async function exportToPptx(target, options = {}) {
   const PptxConstructor = resolvePptxConstructor(PptxGenJS);
   if (!PptxConstructor) throw new Error('PptxGenJS constructor not found.');
   const pptx = new PptxConstructor();
-  pptx.layout = 'LAYOUT_16x9';
 
-  const elements = Array.isArray(target) ? target : [target];
+  const slideErrors = options.slideErrors || 'abort';
+  if (!SLIDE_ERROR_POLICIES.includes(slideErrors)) {
+    throw new Error(`Unknown slideErrors policy "${options.slideErrors}".`);
+  }
+  const signal = options.signal || null;
+  throwIfAborted(signal);
+  const imageFormat = (options.imageFormat || 'png').toLowerCase().replace('jpg', 'jpeg');
+  if (!IMAGE_FORMATS.includes(imageFormat)) {
+    throw new Error(`Unknown image format "${options.imageFormat}".`);
+  }
 
+  const elements = Array.isArray(target) ? target : [target];
+  const roots = [];
+  const missing = [];
   for (const el of elements) {
     const root = typeof el === 'string' ? document.querySelector(el) : el;
     if (!root) {
       console.warn('Element not found, skipping slide:', el);
+      missing.push(el);
       continue;
     }
-    const slide = pptx.addSlide();
-    await processSlide(root, slide, pptx);
+    roots.push(root);
   }
 
+  const reportProgress = (event) => {
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({ slideIndex: null, slideCount: roots.length, ...event });
+    }
+  };
+  reportProgress({ phase: 'start', missing });
+  // Also collected for the overlay alone, which leaves the resolved value as is
+  const report = options.report || options.debugOverlay ? { missing, slides: [] } : null;
+
+  let master = null;
+  if (options.master) {
+    master =
+      typeof options.master === 'string' ? document.querySelector(options.master) : options.master;
+    if (!master)
+      console.warn('Master element not found, slides use the default layout:', options.master);
+  }
+
+  // Slide size is shared by the whole deck; 'auto' derives it from the first root.
+  const layout = resolveSlideLayout(options.layout, roots[0]?.getBoundingClientRect());
+  if (!layout.builtin) {
+    pptx.defineLayout({ name: layout.name, width: layout.width, height: layout.height });
+  }
+  pptx.layout = layout.name;
+  const fit = options.fit || 'contain';
+  if (!FIT_MODES.includes(fit)) throw new Error(`Unknown fit mode "${options.fit}".`);
+
+  const output = (options.output || 'file').toLowerCase();
+  if (output !== 'pptx' && output !== 'file' && !OUTPUT_TYPES.includes(output)) {
+    throw new Error(`Unknown output type "${options.output}".`);
+  }
+
+  // objectName -> gradient / marker colors / run shadows, shared by every slide and applied
+  // once the deck is written
+  const gradientFills = options.nativeGradients && output !== 'pptx' ? new Map() : null;
+  const bulletColors = output !== 'pptx' ? new Map() : null;
+  const runShadows = output !== 'pptx' ? new Map() : null;
+  // slideNumber -> transition and builds, written into each slide's timing
+  const slideTimings = new Map();
+  // Image data already on a slide; PptxGenJS embeds every use again, so a repeated one gets
+  // its media files merged after writing
+  const embeddedImages = new Set();
+  let sharedImages = false;
+
+  const slideOptions = {
+    slideWidth: layout.width,
+    slideHeight: layout.height,
+    fit,
+    svg: options.svg || 'vector',
+    video: options.video || 'frame',
+    roots,
+    gradientFills,
+    bulletColors,
+    runShadows,
+    fontMap: options.fontMap || {},
+    usedFonts: new Map(),
+    // User adapters take precedence over the built-in ones
+    chartAdapters: [...(options.chartAdapters || []), ...DEFAULT_CHART_ADAPTERS],
+    images: {
+      format: imageFormat,
+      quality: options.imageQuality ?? 0.85,
+      maxDpi: options.maxImageDpi || null,
+      // Cache key -> promise of the image data, shared by every slide
+      cache: options.imageCache !== false ? new Map() : null,
+    },
+    signal,
+  };
+
+  // Web fonts still loading would be measured (and resolved) as their fallbacks
+  if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+  // ::before/::after become real elements for the walk, and are put back afterwards
+  const restorePseudoElements = materializePseudoElements(master ? [master, ...roots] : roots);
+  try {
+    const masterName = master
+      ? master.getAttribute('data-pptx-master') || DEFAULT_MASTER_NAME
+      : null;
+    let masterItems = null;
+    if (master) {
+      reportProgress({ phase: 'master' });
+      // Master shapes can't be patched after writing, they keep the SVG/box-level fallbacks
+      masterItems = await collectRenderItems(master, pptx, {
+        ...slideOptions,
+        gradientFills: null,
+        bulletColors: null,
+        runShadows: null,
+        masterFields: 'define',
+      });
+    }
+
+    // Skipped slides shift the numbers of the following ones, so slides are only added once
+    // every root is done and `#id` links know their target's final number
+    let slideNumber = 0;
+    const slideNumbers = roots.map(() => null); // root index -> slide number, null if skipped
+    const slides = [];
+    for (let i = 0; i < roots.length; i++) {
+      const root = roots[i];
+      reportProgress({ phase: 'slide', slideIndex: i });
+      const notes = getSlideNotes(root, i, options.notes);
+      let animations = output !== 'pptx' ? [] : null;
+      let slideReport = report ? createSlideReport(i, root) : null;
+      let status = 'done';
+      let error = null;
+      let items;
+      try {
+        items = await collectRenderItems(root, pptx, {
+          ...slideOptions,
+          excludeNodes: notes.elements,
+          masterFields: masterName ? 'fill' : undefined,
+          animations,
+          report: slideReport,
+          onJobs: (pendingJobs, totalJobs) =>
+            reportProgress({ phase: 'jobs', slideIndex: i, pendingJobs, totalJobs }),
+        });
+      } catch (e) {
+        if (slideErrors === 'abort' || (signal && signal.aborted)) throw e;
+        console.warn(`Slide ${i + 1} failed to export (${slideErrors}):`, e);
+        error = e;
+        items = slideErrors === 'raster' ? await rasterizeSlide(root, slideOptions) : null;
+        status = items ? 'raster' : 'skipped';
+        animations = null;
+        // Whatever the walk recorded before failing is not in the deck
+        if (report) {
+          slideReport = { ...createSlideReport(i, root), status, error };
+          if (items) {
+            slideReport.rasterized.push({
+              node: root,
+              description: describeNode(root),
+              reason: `slide failed to export (${e && e.message})`,
+            });
+          }
+        }
+      }
+      if (slideReport) report.slides.push(slideReport);
+
+      if (items) {
+        slides.push({ items, notes });
+        slideNumber++;
+        slideNumbers[i] = slideNumber;
+
+        items.forEach((item) => {
+          const data = (item.type === 'image' || item.type === 'background') && item.options.data;
+          if (!data) return;
+          if (embeddedImages.has(data)) sharedImages = true;
+          else embeddedImages.add(data);
+        });
+
+        const transition = output !== 'pptx' ? getSlideTransition(root) : null;
+        if (transition || (animations && animations.length > 0)) {
+          slideTimings.set(slideNumber, { transition, animations: animations || [] });
+        }
+      }
+      reportProgress({ phase: 'slideDone', slideIndex: i, status, error });
+    }
+
+    const resolvedLinks = new Set();
+    if (master) {
+      resolveSlideLinks(masterItems, slideNumbers, resolvedLinks);
+      defineMaster(masterItems, pptx, masterName);
+    }
+    slides.forEach(({ items, notes }) => {
+      resolveSlideLinks(items, slideNumbers, resolvedLinks);
+      const slide = pptx.addSlide(masterName ? { masterName } : undefined);
+      addRenderItems(slide, items);
+      if (notes.text) slide.addNotes(notes.text);
+    });
+  } finally {
+    restorePseudoElements();
+  }
+  if (options.debugOverlay) report.removeOverlay = showDebugOverlay(report);
+
+  if (typeof options.onFonts === 'function') {
+    options.onFonts(Array.from(slideOptions.usedFonts.values()));
+  }
+
+  const finish = (result) => (options.report ? { result, report } : result);
+  if (output === 'pptx') return finish(pptx);
+
+  throwIfAborted(signal);
+  reportProgress({ phase: 'write' });
+  const compression = !!options.compression;
   const fileName = options.fileName || 'export.pptx';
-  pptx.writeFile({ fileName });
+
+  const transforms = [];
+  if (gradientFills && gradientFills.size > 0) {
+    transforms.push((xml) => applyGradientFills(xml, gradientFills));
+  }
+  if (bulletColors.size > 0) transforms.push((xml) => applyBulletColors(xml, bulletColors));
+  if (runShadows.size > 0) transforms.push((xml) => applyRunShadows(xml, runShadows));
+  if (slideTimings.size > 0) {
+    transforms.push((xml, slideNumber) => applySlideTiming(xml, slideTimings.get(slideNumber)));
+  }
+
+  const mergeMedia = sharedImages && !!slideOptions.images.cache;
+  if (transforms.length > 0 || mergeMedia) {
+    const data = await pptx.write({ outputType: 'arraybuffer', compression });
+    if (output === 'file') {
+      saveBlob(await postProcessPptx(data, transforms, 'blob', compression, mergeMedia), fileName);
+      return finish(fileName);
+    }
+    return finish(await postProcessPptx(data, transforms, output, compression, mergeMedia));
+  }
+
+  if (output === 'file') return finish(await pptx.writeFile({ fileName, compression }));
+  return finish(await pptx.write({ outputType: output, compression }));
 }
 
 /**
- * Worker function to process a single DOM element into a single PPTX slide.
- * @param {HTMLElement} root - The root element for this slide.
+ * Adds the render items of a slide root to its PPTX slide.
  * @param {PptxGenJS.Slide} slide - The PPTX slide object to add content to.
+ * @param {Array} items - From `collectRenderItems`.
+ */
+function addRenderItems(slide, items) {
+  for (const item of items) {
+    if (item.type === 'shape') slide.addShape(item.shapeType, item.options);
+    if (item.type === 'image') slide.addImage(item.options);
+    if (item.type === 'text') slide.addText(item.textParts, item.options);
+    if (item.type === 'table') slide.addTable(item.rows, item.options);
+    if (item.type === 'chart') slide.addChart(item.chartType, item.data, item.options);
+    if (item.type === 'media') slide.addMedia(item.options);
+    if (item.type === 'background') slide.background = { data: item.options.data };
+    if (item.type === 'slideNumber') slide.slideNumber = item.options;
+  }
+}
+
+/**
+ * Fallback for a slide that failed to export: one snapshot of the whole root, placed like the
+ * root would be.
+ * @param {HTMLElement} root - The root element of the slide.
+ * @param {Object} options - { slideWidth, slideHeight, fit, images }
+ * @returns {Promise<Array | null>} - Render items, or null when the snapshot failed too.
+ */
+async function rasterizeSlide(root, options) {
+  const rect = root.getBoundingClientRect();
+  const contentWidthIn = rect.width * PX_TO_INCH;
+  const contentHeightIn = rect.height * PX_TO_INCH;
+  const { scale, scaleX, scaleY } = getFitScale(
+    options.fit,
+    options.slideWidth,
+    options.slideHeight,
+    contentWidthIn,
+    contentHeightIn
+  );
+
+  // Without a max DPI, two pixels per CSS px keep text readable once scaled up to the slide
+  const imageOptions = resolveImageOptions(options.images, scale);
+  const data = await elementToCanvasImage(root, rect.width, rect.height, null, {
+    ...imageOptions,
+    scale: imageOptions.scale || 2,
+  });
+  if (!data) return null;
+  return [
+    {
+      type: 'image',
+      zIndex: 0,
+      domOrder: 0,
+      options: {
+        x: (options.slideWidth - contentWidthIn * scaleX) / 2,
+        y: (options.slideHeight - contentHeightIn * scaleY) / 2,
+        w: contentWidthIn * scaleX,
+        h: contentHeightIn * scaleY,
+        data,
+      },
+    },
+  ];
+}
+
+/**
+ * Maps `#id` slide jumps from root positions to final slide numbers and drops links whose
+ * target root was skipped. Items of one element can share a link object, `resolved` keeps it
+ * from being mapped twice.
+ * @param {Array} items - From `collectRenderItems`.
+ * @param {Array<number | null>} slideNumbers - Slide number per root index, null when skipped.
+ * @param {Set<Object>} resolved - Link objects already mapped.
+ */
+function resolveSlideLinks(items, slideNumbers, resolved) {
+  const resolve = (options) => {
+    const link = options?.hyperlink;
+    if (!link || link.slide === undefined || resolved.has(link)) return;
+    const number = slideNumbers[link.slide - 1];
+    if (number) {
+      link.slide = number;
+      resolved.add(link);
+    } else {
+      delete options.hyperlink;
+    }
+  };
+  const resolveRuns = (runs) => {
+    if (Array.isArray(runs)) runs.forEach((run) => resolve(run.options));
+  };
+
+  for (const item of items) {
+    resolve(item.options);
+    resolveRuns(item.textParts);
+    (item.rows || []).forEach((row) =>
+      row.forEach((cell) => {
+        resolve(cell.options);
+        resolveRuns(cell.text);
+      })
+    );
+  }
+}
+
+/**
+ * Defines a slide master from the render items of a DOM template, so repeated chrome
+ * (logos, footers, backgrounds) lives once in the deck. Elements marked with
+ * `data-pptx-placeholder` become placeholders and `data-pptx-slide-number` the slide number.
+ * Text objects of a master are plain strings in PptxGenJS, so each text box keeps the style of
+ * its first run.
+ * @param {Array} items - Items collected from the template with `masterFields: 'define'`.
  * @param {PptxGenJS} pptx - The main PPTX instance.
+ * @param {string} title - Master name, referenced by the slides.
  */
-async function processSlide(root, slide, pptx) {
+function defineMaster(items, pptx, title) {
+  const master = { title, objects: [] };
+
+  for (const item of items) {
+    if (item.type === 'shape') {
+      master.objects.push({
+        text: { text: '', options: { ...item.options, shape: item.shapeType } },
+      });
+    } else if (item.type === 'image') {
+      master.objects.push({ image: item.options });
+    } else if (item.type === 'text') {
+      const text = item.textParts
+        .map((part) => part.text + (part.options.breakLine ? '\n' : ''))
+        .join('');
+      const runOptions = { ...(item.textParts[0]?.options || {}) };
+      delete runOptions.breakLine;
+      master.objects.push({ text: { text, options: { ...runOptions, ...item.options } } });
+    } else if (item.type === 'chart') {
+      master.objects.push({
+        chart: { type: item.chartType, data: item.data, opts: item.options },
+      });
+    } else if (item.type === 'placeholder') {
+      master.objects.push({ placeholder: { options: item.options, text: item.text } });
+    } else if (item.type === 'slideNumber') {
+      master.slideNumber = item.options;
+    } else if (item.type === 'background') {
+      master.background = { data: item.options.data };
+    } else {
+      console.warn(`A slide master can't hold ${item.type} objects, skipping it.`);
+    }
+  }
+
+  pptx.defineSlideMaster(master);
+}
+
+/**
+ * Walks a root element and builds its render items, sorted for painting.
+ * @param {HTMLElement} root - The root element of a slide (or master template).
+ * @param {PptxGenJS} pptx - The main PPTX instance.
+ * @param {Object} options - { slideWidth, slideHeight, fit, svg, video, excludeNodes, roots,
+ *   gradientFills, bulletColors, runShadows, fontMap, usedFonts, chartAdapters, images,
+ *   masterFields, animations, signal, onJobs, report }
+ *   `masterFields` is 'define' for master templates (placeholders become fields) and 'fill'
+ *   for slides using a master (their placeholder text goes into the master's placeholder).
+ *   `animations` collects the `data-pptx-animate` builds of the slide, with the objectNames
+ *   of their shapes. `report` is the slide's fidelity report to fill.
+ * @returns {Promise<Array>}
+ */
+async function collectRenderItems(root, pptx, options = {}) {
   const rootRect = root.getBoundingClientRect();
-  const PPTX_WIDTH_IN = 10;
-  const PPTX_HEIGHT_IN = 5.625;
+  const PPTX_WIDTH_IN = options.slideWidth || 10;
+  const PPTX_HEIGHT_IN = options.slideHeight || 5.625;
 
   const contentWidthIn = rootRect.width * PX_TO_INCH;
   const contentHeightIn = rootRect.height * PX_TO_INCH;
-  const scale = Math.min(PPTX_WIDTH_IN / contentWidthIn, PPTX_HEIGHT_IN / contentHeightIn);
+  const { scale, scaleX, scaleY } = getFitScale(
+    options.fit,
+    PPTX_WIDTH_IN,
+    PPTX_HEIGHT_IN,
+    contentWidthIn,
+    contentHeightIn
+  );
 
   const layoutConfig = {
     rootX: rootRect.x,
     rootY: rootRect.y,
     scale: scale,
-    offX: (PPTX_WIDTH_IN - contentWidthIn * scale) / 2,
-    offY: (PPTX_HEIGHT_IN - contentHeightIn * scale) / 2,
+    scaleX: scaleX,
+    scaleY: scaleY,
+    offX: (PPTX_WIDTH_IN - contentWidthIn * scaleX) / 2,
+    offY: (PPTX_HEIGHT_IN - contentHeightIn * scaleY) / 2,
+    roots: options.roots || [root], // Used to resolve #id links into slide jumps
+    svg: options.svg,
+    video: options.video,
+    gradientFills: options.gradientFills || null,
+    bulletColors: options.bulletColors || null,
+    runShadows: options.runShadows || null,
+    fontMap: options.fontMap,
+    usedFonts: options.usedFonts || null,
+    chartAdapters: options.chartAdapters || DEFAULT_CHART_ADAPTERS,
+    images: resolveImageOptions(options.images, scale),
   };
 
   const renderQueue = [];
   const asyncTasks = []; // Queue for heavy operations (Images, Canvas)
+  const excludeNodes = options.excludeNodes || [];
+  const animatedItems = new Map(); // item -> build of the closest animated ancestor
+  const itemNodes = new Map(); // item -> node, for the fidelity report
   let domOrderCounter = 0;
 
   // Sync Traversal Function
-  function collect(node, parentZIndex) {
+  function collect(node, parentZIndex, parentMatrix, frameConfig = layoutConfig, animation = null) {
+    if (excludeNodes.includes(node)) return;
+    throwIfAborted(options.signal);
     const order = domOrderCounter++;
 
     let currentZ = parentZIndex;
+    let currentMatrix = parentMatrix;
+    let currentAnimation = animation;
     let nodeStyle = null;
     const nodeType = node.nodeType;
 
@@ -110,12 +625,36 @@ async function processSlide(root, slide, pptx) {
       if (nodeStyle.zIndex !== 'auto') {
         currentZ = parseInt(nodeStyle.zIndex);
       }
+      // Transforms compose down the tree, like z-index inheritance
+      currentMatrix = multiplyMatrix(parentMatrix, getElementMatrix(nodeStyle));
+
+      if (options.report) {
+        getIgnoredProperties(node, nodeStyle).forEach(({ property, value }) =>
+          options.report.ignored.push({ node, description: describeNode(node), property, value })
+        );
+      }
+
+      // An animated element builds in with everything it renders
+      const build = options.animations && node !== root && getElementAnimation(node);
+      if (build) {
+        currentAnimation = { ...build, domOrder: order, names: [] };
+        options.animations.push(currentAnimation);
+      }
+    }
+
+    // Master fields: placeholders (in a master template) and slide numbers replace the content
+    if (nodeType === 1) {
+      const field = getMasterField(node, nodeStyle, frameConfig, options.masterFields);
+      if (field) {
+        renderQueue.push({ ...field, zIndex: currentZ, domOrder: order });
+        return;
+      }
     }
 
     // Prepare the item. If it needs async work, it returns a 'job'
     const result = prepareRenderItem(
       node,
-      { ...layoutConfig, root },
+      { ...frameConfig, root, matrix: currentMatrix },
       order,
       pptx,
       currentZ,
@@ -123,9 +662,35 @@ async function processSlide(root, slide, pptx) {
     );
 
     if (result) {
+      if (result.items && nodeType === 1) {
+        // Clickable wrappers (e.g. <a><img></a>) link the whole shape, not just text runs
+        const link = getHyperlink(node.closest('a[href]'), layoutConfig.roots);
+        if (link) {
+          result.items.forEach((item) => {
+            if (item.type === 'image' || item.type === 'shape') item.options.hyperlink = link;
+          });
+        }
+      }
+      const placeholder = nodeType === 1 && node.getAttribute('data-pptx-placeholder');
+      if (result.items && placeholder && options.masterFields === 'fill') {
+        result.items.forEach((item) => {
+          if (item.type === 'text') item.options.placeholder = placeholder;
+        });
+      }
       if (result.items) {
         // Push items immediately to queue (data might be missing but filled later)
         renderQueue.push(...result.items);
+        if (currentAnimation) {
+          result.items.forEach((item) => {
+            if (item.type !== 'background') animatedItems.set(item, currentAnimation);
+          });
+        }
+        if (options.report) result.items.forEach((item) => itemNodes.set(item, node));
+      }
+      if (options.report && result.ignored) {
+        result.ignored.forEach(({ node: el, property, value }) =>
+          options.report.ignored.push({ node: el, description: describeNode(el), property, value })
+        );
       }
       if (result.job) {
         // Push the promise-returning function to the task list
@@ -134,25 +699,52 @@ async function processSlide(root, slide, pptx) {
       if (result.stopRecursion) return;
     }
 
+    // Same-origin iframes are walked like nested content. Their rects are relative to the
+    // frame's viewport, so the origin moves to the frame's content box.
+    if (nodeType === 1 && node.tagName === 'IFRAME') {
+      const frameRoot = getFrameRoot(node);
+      if (frameRoot) {
+        const frameRect = node.getBoundingClientRect();
+        const contentLeft =
+          frameRect.left + node.clientLeft + (parseFloat(nodeStyle.paddingLeft) || 0);
+        const contentTop = frameRect.top + node.clientTop + (parseFloat(nodeStyle.paddingTop) || 0);
+        collect(
+          frameRoot,
+          currentZ,
+          currentMatrix,
+          {
+            ...frameConfig,
+            rootX: frameConfig.rootX - contentLeft,
+            rootY: frameConfig.rootY - contentTop,
+          },
+          currentAnimation
+        );
+      }
+      return;
+    }
+
     // Recurse children synchronously
     const childNodes = node.childNodes;
     for (let i = 0; i < childNodes.length; i++) {
-      collect(childNodes[i], currentZ);
+      collect(childNodes[i], currentZ, currentMatrix, frameConfig, currentAnimation);
     }
   }
 
   // 1. Traverse and build the structure (Fast)
-  collect(root, 0);
+  collect(root, 0, getAncestorMatrix(root));
 
   // 2. Execute all heavy tasks in parallel (Fast)
   if (asyncTasks.length > 0) {
-    await Promise.all(asyncTasks.map((task) => task()));
+    await runJobs(asyncTasks, options.signal, options.onJobs);
   }
 
+  if (options.report) recordRenderItems(options.report, renderQueue, itemNodes);
+
   // 3. Cleanup and Sort
   // Remove items that failed to generate data (marked with skip)
   const finalQueue = renderQueue.filter(
-    (item) => !item.skip && (item.type !== 'image' || item.options.data)
+    (item) =>
+      !item.skip && ((item.type !== 'image' && item.type !== 'background') || item.options.data)
   );
 
   finalQueue.sort((a, b) => {
@@ -160,35 +752,171 @@ async function processSlide(root, slide, pptx) {
     return a.domOrder - b.domOrder;
   });
 
-  // 4. Add to Slide
-  for (const item of finalQueue) {
-    if (item.type === 'shape') slide.addShape(item.shapeType, item.options);
-    if (item.type === 'image') slide.addImage(item.options);
-    if (item.type === 'text') slide.addText(item.textParts, item.options);
+  // Builds find their shapes by name in the written slide, so every animated item gets one
+  let animatedCount = 0;
+  finalQueue.forEach((item) => {
+    const build = animatedItems.get(item);
+    if (!build) return;
+    const name = item.options.objectName || `dom-to-pptx-anim-${++animatedCount}`;
+    item.options.objectName = name;
+    build.names.push(name);
+  });
+
+  return finalQueue;
+}
+
+/**
+ * Runs async jobs with at most `JOB_CONCURRENCY` at a time. Once the signal aborts, no new job
+ * starts and the returned promise rejects without waiting for the running ones.
+ * @param {Array<Function>} tasks - Promise-returning jobs.
+ * @param {AbortSignal | null} signal
+ * @param {Function} [onJobs] - Called with (pendingJobs, totalJobs) as jobs finish.
+ */
+function runJobs(tasks, signal, onJobs) {
+  return new Promise((resolve, reject) => {
+    let next = 0;
+    let finished = 0;
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(error);
+    };
+    const onAbort = () => fail(getAbortReason(signal));
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const startNext = () => {
+      if (settled || next >= tasks.length) return;
+      if (signal && signal.aborted) return fail(getAbortReason(signal));
+      const task = tasks[next++];
+      Promise.resolve()
+        .then(task)
+        .then(() => {
+          finished++;
+          if (onJobs && !settled) onJobs(tasks.length - finished, tasks.length);
+          if (finished === tasks.length && !settled) {
+            settled = true;
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+          } else {
+            startNext();
+          }
+        }, fail);
+    };
+
+    if (onJobs) onJobs(tasks.length, tasks.length);
+    for (let i = 0; i < Math.min(JOB_CONCURRENCY, tasks.length); i++) startNext();
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw getAbortReason(signal);
+}
+
+function getAbortReason(signal) {
+  return signal.reason !== undefined
+    ? signal.reason
+    : new DOMException('Export aborted', 'AbortError');
+}
+
+/**
+ * Reads the master field an element stands for: a slide number (`data-pptx-slide-number`) or,
+ * in a master template, a placeholder (`data-pptx-placeholder="title"`, `"body"`...) whose
+ * text becomes the prompt. Both keep the element's position and text style.
+ * @param {'define' | 'fill' | undefined} mode - `masterFields` of the walk.
+ * @returns {{ type: 'slideNumber' | 'placeholder', options: Object, text?: string } | null}
+ */
+function getMasterField(node, style, config, mode) {
+  const isSlideNumber = node.hasAttribute('data-pptx-slide-number');
+  const placeholder = mode === 'define' && node.getAttribute('data-pptx-placeholder');
+  if (!isSlideNumber && !placeholder) return null;
+
+  const rect = node.getBoundingClientRect();
+  let align = style.textAlign || 'left';
+  if (align === 'start') align = 'left';
+  if (align === 'end') align = 'right';
+  const textStyle = getTextStyle(style, config);
+  const options = {
+    x: config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scaleX,
+    y: config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scaleY,
+    w: rect.width * PX_TO_INCH * config.scaleX,
+    h: rect.height * PX_TO_INCH * config.scaleY,
+    fontFace: textStyle.fontFace,
+    fontSize: textStyle.fontSize,
+    color: textStyle.color,
+    bold: textStyle.bold,
+    align,
+  };
+
+  if (isSlideNumber) return { type: 'slideNumber', options };
+
+  const type = PLACEHOLDER_TYPES.includes(placeholder) ? placeholder : 'body';
+  return {
+    type: 'placeholder',
+    text: node.textContent.trim(),
+    options: {
+      ...options,
+      name: placeholder,
+      type,
+      italic: textStyle.italic,
+      valign: 'top',
+      inset: getPadding(style, config.scale),
+      margin: 0,
+    },
+  };
+}
+
+/**
+ * Root element of a same-origin iframe's document, or null when it is cross-origin or not
+ * loaded.
+ */
+function getFrameRoot(iframe) {
+  try {
+    const doc = iframe.contentDocument;
+    return doc && doc.documentElement ? doc.documentElement : null;
+  } catch {
+    return null;
   }
 }
 
 /**
  * Optimized html2canvas wrapper
  * Now strictly captures the node itself, not the root.
+ * @param {DOMRect} [bounds] - Capture this viewport area instead of the untransformed box
+ *   (used for skewed elements); the border radius clip is skipped since the transform is baked in.
+ * @param {Object} [imageOptions] - From `resolveImageOptions`; without a `scale` the snapshot
+ *   has one pixel per CSS px of the box.
  */
-async function elementToCanvasImage(node, widthPx, heightPx) {
+async function elementToCanvasImage(node, widthPx, heightPx, bounds = null, imageOptions = null) {
   return new Promise((resolve) => {
     const width = Math.max(Math.ceil(widthPx), 1);
     const height = Math.max(Math.ceil(heightPx), 1);
+    const pixelScale = (imageOptions && imageOptions.scale) || 1;
     const style = window.getComputedStyle(node);
 
     // Optimized: Capture ONLY the specific node
+    const area = bounds
+      ? {
+          x: bounds.left + window.scrollX,
+          y: bounds.top + window.scrollY,
+          width: bounds.width,
+          height: bounds.height,
+        }
+      : {};
+
     html2canvas(node, {
       backgroundColor: null,
       logging: false,
-      scale: 2, // Slight quality boost
+      scale: (imageOptions && imageOptions.scale) || 2, // Slight quality boost by default
+      ...area,
     })
       .then((canvas) => {
         const destCanvas = document.createElement('canvas');
-        destCanvas.width = width;
-        destCanvas.height = height;
+        destCanvas.width = Math.max(Math.round(width * pixelScale), 1);
+        destCanvas.height = Math.max(Math.round(height * pixelScale), 1);
         const ctx = destCanvas.getContext('2d');
+        ctx.scale(destCanvas.width / width, destCanvas.height / height);
 
         // Draw the captured canvas into our sized canvas
         // html2canvas might return a larger canvas if scale > 1, so we fit it
@@ -214,7 +942,7 @@ async function elementToCanvasImage(node, widthPx, heightPx) {
           bl *= f;
         }
 
-        if (tl + tr + br + bl > 0) {
+        if (!bounds && tl + tr + br + bl > 0) {
           ctx.globalCompositeOperation = 'destination-in';
           ctx.beginPath();
           ctx.moveTo(tl, 0);
@@ -230,7 +958,7 @@ async function elementToCanvasImage(node, widthPx, heightPx) {
           ctx.fill();
         }
 
-        resolve(destCanvas.toDataURL('image/png'));
+        resolve(encodeCanvas(destCanvas, imageOptions));
       })
       .catch((e) => {
         console.warn('Canvas capture failed for node', node, e);
@@ -239,9 +967,61 @@ async function elementToCanvasImage(node, widthPx, heightPx) {
   });
 }
 
+/**
+ * Image source of a replaced element: the `<img>` URL, or a snapshot of the canvas drawing or
+ * video frame, already fitted to the box so the cover crop of `getProcessedImage` keeps it.
+ */
+async function getReplacedElementSource(node, widthPx, heightPx, style, scale) {
+  if (node.tagName === 'CANVAS') {
+    return captureCanvas(node, widthPx, heightPx, style.objectFit, scale);
+  }
+  if (node.tagName === 'VIDEO') {
+    return captureVideoFrame(node, widthPx, heightPx, style.objectFit, scale);
+  }
+  return node.src;
+}
+
+/**
+ * File extension for `addMedia` (PptxGenJS would take everything after the last dot,
+ * query string included). Blob and extensionless URLs are assumed to be MP4.
+ */
+function getMediaExtension(src) {
+  try {
+    const match = new URL(src, document.baseURI).pathname.match(/\.([a-z0-9]{2,4})$/i);
+    return match ? match[1].toLowerCase() : 'mp4';
+  } catch {
+    return 'mp4';
+  }
+}
+
+/**
+ * Names a text item and registers the slide XML patches PptxGenJS can't express for it:
+ * `::marker` colors and run-level text shadows (PptxGenJS skips empty runs, so shadows are
+ * listed for non-empty runs only).
+ */
+function registerTextPatches(item, markerColors, config) {
+  const runShadows = item.textParts
+    .filter((part) => part.text !== '')
+    .map((part) => part.options.shadow || null);
+  item.textParts.forEach((part) => delete part.options.shadow);
+
+  const hasMarkerColors = config.bulletColors && markerColors.some(Boolean);
+  const hasRunShadows = config.runShadows && runShadows.some(Boolean);
+  if (!hasMarkerColors && !hasRunShadows) return;
+
+  // Reuse a native-gradient name so all patches land on the same shape. The registries are
+  // shared by every slide and grow with each registration, which keeps new names unique.
+  const registered = (config.bulletColors?.size || 0) + (config.runShadows?.size || 0);
+  const name = item.options.objectName || `dom-to-pptx-text-${registered + 1}`;
+  item.options.objectName = name;
+  if (hasMarkerColors) config.bulletColors.set(name, markerColors);
+  if (hasRunShadows) config.runShadows.set(name, runShadows);
+}
+
 /**
  * Replaces createRenderItem.
- * Returns { items: [], job: () => Promise, stopRecursion: boolean }
+ * Returns { items: [], job: () => Promise, stopRecursion: boolean, ignored?: Array }
+ * (`ignored` lists styles of descendants the items could not carry, for the report)
  */
 function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, computedStyle) {
   // 1. Text Node Handling
@@ -254,37 +1034,48 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
 
     if (isTextContainer(parent)) return null; // Parent handles it
 
-    const range = document.createRange();
+    const range = node.ownerDocument.createRange();
     range.selectNode(node);
     const rect = range.getBoundingClientRect();
     range.detach();
 
     const style = window.getComputedStyle(parent);
+    const { scaleX, scaleY } = decomposeMatrix(config.matrix);
+    const textConfig = { ...config, scale: config.scale * Math.sqrt(scaleX * scaleY) };
     const widthPx = rect.width;
     const heightPx = rect.height;
-    const unrotatedW = widthPx * PX_TO_INCH * config.scale;
-    const unrotatedH = heightPx * PX_TO_INCH * config.scale;
+    const unrotatedW = widthPx * PX_TO_INCH * config.scaleX;
+    const unrotatedH = heightPx * PX_TO_INCH * config.scaleY;
 
-    const x = config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scale;
-    const y = config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scale;
+    const x = config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scaleX;
+    const y = config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scaleY;
 
-    return {
-      items: [
+    const item = {
+      type: 'text',
+      zIndex: effectiveZIndex,
+      domOrder,
+      textParts: [
         {
-          type: 'text',
-          zIndex: effectiveZIndex,
-          domOrder,
-          textParts: [
-            {
-              text: textContent,
-              options: getTextStyle(style, config.scale),
-            },
-          ],
-          options: { x, y, w: unrotatedW, h: unrotatedH, margin: 0, autoFit: false },
+          text: textContent,
+          options: {
+            ...getTextStyle(style, textConfig),
+            ...getRunHyperlink(parent, config.roots),
+          },
         },
       ],
-      stopRecursion: false,
+      options: {
+        x,
+        y,
+        w: unrotatedW,
+        h: unrotatedH,
+        margin: 0,
+        autoFit: false,
+        shadow: config.runShadows ? null : getTextShadow(style.textShadow, textConfig.scale),
+      },
     };
+    registerTextPatches(item, [], config);
+
+    return { items: [item], stopRecursion: false };
   }
 
   if (node.nodeType !== 1) return null;
@@ -294,40 +1085,123 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
   if (rect.width < 0.5 || rect.height < 0.5) return null;
 
   const zIndex = effectiveZIndex;
-  const rotation = getRotation(style.transform);
+  const { rotation, flipH, flipV, scaleX, scaleY, skewed } = decomposeMatrix(config.matrix);
+  // Fonts, borders and paddings follow the accumulated scale of the element
+  if (scaleX !== 1 || scaleY !== 1) {
+    config = { ...config, scale: config.scale * Math.sqrt(scaleX * scaleY) };
+  }
   const elementOpacity = parseFloat(style.opacity);
   const safeOpacity = isNaN(elementOpacity) ? 1 : elementOpacity;
 
   const widthPx = node.offsetWidth || rect.width;
   const heightPx = node.offsetHeight || rect.height;
-  const unrotatedW = widthPx * PX_TO_INCH * config.scale;
-  const unrotatedH = heightPx * PX_TO_INCH * config.scale;
+  const unrotatedW = widthPx * scaleX * PX_TO_INCH * config.scaleX;
+  const unrotatedH = heightPx * scaleY * PX_TO_INCH * config.scaleY;
+  // The bounding rect center is invariant to rotation/flips, whatever the transform-origin
   const centerX = rect.left + rect.width / 2;
   const centerY = rect.top + rect.height / 2;
 
-  let x = config.offX + (centerX - config.rootX) * PX_TO_INCH * config.scale - unrotatedW / 2;
-  let y = config.offY + (centerY - config.rootY) * PX_TO_INCH * config.scale - unrotatedH / 2;
+  let x = config.offX + (centerX - config.rootX) * PX_TO_INCH * config.scaleX - unrotatedW / 2;
+  let y = config.offY + (centerY - config.rootY) * PX_TO_INCH * config.scaleY - unrotatedH / 2;
   let w = unrotatedW;
   let h = unrotatedH;
+  // The element box before text adjustments, for shadows drawn around it
+  const shadowBox = {
+    x,
+    y,
+    w,
+    h,
+    widthPx,
+    heightPx,
+    rotate: rotation,
+    flipH,
+    flipV,
+    zIndex,
+    domOrder,
+    scale: config.scale,
+    opacity: safeOpacity,
+  };
+  let clipCommands = parseClipPath(style.clipPath, widthPx, heightPx);
 
   const items = [];
 
+  // --- ASYNC JOB: Skewed elements (an xfrm can't shear), snapshot their bounding box ---
+  if (skewed) {
+    const item = {
+      type: 'image',
+      zIndex,
+      domOrder,
+      rasterReason: 'skewed transform',
+      options: {
+        x: config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scaleX,
+        y: config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scaleY,
+        w: rect.width * PX_TO_INCH * config.scaleX,
+        h: rect.height * PX_TO_INCH * config.scaleY,
+        data: null,
+      },
+    };
+
+    const job = async () => {
+      const pngData = await elementToCanvasImage(
+        node,
+        rect.width,
+        rect.height,
+        rect,
+        config.images
+      );
+      if (pngData) item.options.data = pngData;
+      else item.skip = true;
+    };
+
+    return { items: [item], job, stopRecursion: true };
+  }
+
+  // --- SYNC: Native charts (adapters) ---
+  const chartSpec = getChartSpec(node, config.chartAdapters);
+  if (chartSpec) {
+    const item = createChartItem(chartSpec, { x, y, w, h }, pptx, config.scale);
+    return { items: [{ ...item, zIndex, domOrder }], stopRecursion: true };
+  }
+
+  // --- SYNC: Inline SVG as vector image ---
+  if (node.nodeName.toUpperCase() === 'SVG' && config.svg !== 'raster') {
+    const svgData = svgToDataURL(node);
+    if (svgData) {
+      return {
+        items: [
+          {
+            type: 'image',
+            zIndex,
+            domOrder,
+            options: { x, y, w, h, rotate: rotation, flipH, flipV, data: svgData },
+          },
+        ],
+        stopRecursion: true,
+      };
+    }
+  }
+
   // --- ASYNC JOB: SVGs / Icons ---
   if (
     node.nodeName.toUpperCase() === 'SVG' ||
     node.tagName.includes('-') ||
     node.tagName === 'ION-ICON'
   ) {
+    let rasterReason = 'custom element';
+    if (node.nodeName.toUpperCase() === 'SVG') {
+      rasterReason = config.svg === 'raster' ? 'svg: "raster" option' : 'SVG serialization failed';
+    }
     const item = {
       type: 'image',
       zIndex,
       domOrder,
-      options: { x, y, w, h, rotate: rotation, data: null }, // Data null initially
+      rasterReason,
+      options: { x, y, w, h, rotate: rotation, flipH, flipV, data: null }, // Data null initially
     };
 
     // Create Job
     const job = async () => {
-      const pngData = await elementToCanvasImage(node, widthPx, heightPx);
+      const pngData = await elementToCanvasImage(node, widthPx, heightPx, null, config.images);
       if (pngData) item.options.data = pngData;
       else item.skip = true;
     };
@@ -335,8 +1209,57 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
     return { items: [item], job, stopRecursion: true };
   }
 
-  // --- ASYNC JOB: IMG Tags ---
-  if (node.tagName === 'IMG') {
+  // --- SYNC: Native Tables ---
+  if (node.tagName === 'TABLE') {
+    const table = getTableData(node, style, config);
+    if (table) {
+      // A native table has no shadow of its own: draw it as an image underneath
+      const shadows = createShadowItems(
+        getBoxShadowPlan(style.boxShadow, config.scale, false),
+        {
+          ...table.box,
+          zIndex,
+          domOrder,
+          opacity: shadowBox.opacity,
+          radii: { tl: 0, tr: 0, br: 0, bl: 0 },
+        },
+        pptx
+      );
+      const items = [
+        ...shadows.below,
+        { type: 'table', zIndex, domOrder, rows: table.rows, options: table.options },
+        ...shadows.above,
+      ];
+      if (table.caption) {
+        const caption = { type: 'text', zIndex, domOrder, ...table.caption };
+        registerTextPatches(caption, [], config);
+        items.push(caption);
+      }
+      return { items, stopRecursion: true, ignored: table.ignored };
+    }
+  }
+
+  // --- ASYNC JOB: Embedded video (real media, the current frame as cover) ---
+  const videoSrc = node.tagName === 'VIDEO' ? node.currentSrc || node.src : '';
+  if (videoSrc && config.video === 'embed') {
+    const item = {
+      type: 'media',
+      zIndex,
+      domOrder,
+      options: { type: 'video', path: videoSrc, extn: getMediaExtension(videoSrc), x, y, w, h },
+    };
+
+    const job = async () => {
+      const { scale } = config.images || {};
+      const cover = await captureVideoFrame(node, widthPx, heightPx, style.objectFit, scale || 2);
+      if (cover) item.options.cover = cover;
+    };
+
+    return { items: [item], job, stopRecursion: true };
+  }
+
+  // --- ASYNC JOB: IMG Tags, canvas drawings and video frames ---
+  if (node.tagName === 'IMG' || node.tagName === 'CANVAS' || node.tagName === 'VIDEO') {
     let radii = {
       tl: parseFloat(style.borderTopLeftRadius) || 0,
       tr: parseFloat(style.borderTopRightRadius) || 0,
@@ -362,20 +1285,52 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
       }
     }
 
+    // A same-size wrapper's clip-path (e.g. hexagon avatars) cuts the image too
+    const wrapper = node.parentElement;
+    if (!clipCommands && wrapper && wrapper !== config.root) {
+      const wrapperRect = wrapper.getBoundingClientRect();
+      if (
+        Math.abs(wrapperRect.width - rect.width) < 5 &&
+        Math.abs(wrapperRect.height - rect.height) < 5
+      ) {
+        clipCommands = parseClipPath(window.getComputedStyle(wrapper).clipPath, widthPx, heightPx);
+      }
+    }
+    const clipPathData = clipCommands ? toSvgPathData(clipCommands) : null;
+
     const item = {
       type: 'image',
       zIndex,
       domOrder,
-      options: { x, y, w, h, rotate: rotation, data: null },
+      rasterReason: node.tagName === 'IMG' ? undefined : `${node.tagName.toLowerCase()} snapshot`,
+      options: { x, y, w, h, rotate: rotation, flipH, flipV, data: null },
     };
 
     const job = async () => {
-      const processed = await getProcessedImage(node.src, widthPx, heightPx, radii);
+      const images = config.images || null;
+      const snapshotScale = (images && images.scale) || 2;
+      const src = await getReplacedElementSource(node, widthPx, heightPx, style, snapshotScale);
+      const processed =
+        src &&
+        (await getProcessedImage(src, widthPx, heightPx, radii, clipPathData, style, images));
       if (processed) item.options.data = processed;
       else item.skip = true;
     };
 
-    return { items: [item], job, stopRecursion: true };
+    // clip-path cuts away the shadow as well
+    const shadows = createShadowItems(
+      getBoxShadowPlan(clipCommands ? 'none' : style.boxShadow, config.scale, false),
+      { ...shadowBox, radii },
+      pptx
+    );
+    return { items: [...shadows.below, item, ...shadows.above], job, stopRecursion: true };
+  }
+
+  // --- SYNC: Form controls painted by the browser (checkboxes, radios, select arrows) ---
+  const isControl = isFormControl(node);
+  const controlShapes = isControl ? createFormControlShapes(node, style, shadowBox, pptx) : null;
+  if (controlShapes && controlShapes.replace) {
+    return { items: controlShapes.items, stopRecursion: true };
   }
 
   // Radii logic
@@ -400,18 +1355,25 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
   if (hasPartialBorderRadius && isClippedByParent(node)) {
     const marginLeft = parseFloat(style.marginLeft) || 0;
     const marginTop = parseFloat(style.marginTop) || 0;
-    x += marginLeft * PX_TO_INCH * config.scale;
-    y += marginTop * PX_TO_INCH * config.scale;
+    x += marginLeft * PX_TO_INCH * config.scaleX;
+    y += marginTop * PX_TO_INCH * config.scaleY;
 
     const item = {
       type: 'image',
       zIndex,
       domOrder,
-      options: { x, y, w, h, rotate: rotation, data: null },
+      rasterReason: 'partial border radius clipped by its parent',
+      options: { x, y, w, h, rotate: rotation, flipH, flipV, data: null },
     };
 
     const job = async () => {
-      const canvasImageData = await elementToCanvasImage(node, widthPx, heightPx);
+      const canvasImageData = await elementToCanvasImage(
+        node,
+        widthPx,
+        heightPx,
+        null,
+        config.images
+      );
       if (canvasImageData) item.options.data = canvasImageData;
       else item.skip = true;
     };
@@ -424,7 +1386,9 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
   const bgClip = style.webkitBackgroundClip || style.backgroundClip;
   const isBgClipText = bgClip === 'text';
   const hasGradient =
-    !isBgClipText && style.backgroundImage && style.backgroundImage.includes('linear-gradient');
+    !isBgClipText && style.backgroundImage && style.backgroundImage.includes('gradient(');
+  const hasUrlBackground =
+    !isBgClipText && style.backgroundImage && style.backgroundImage.includes('url(');
 
   const borderColorObj = parseColor(style.borderColor);
   const borderWidth = parseFloat(style.borderWidth);
@@ -432,10 +1396,9 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
 
   const borderInfo = getBorderInfo(style, config.scale);
   const hasUniformBorder = borderInfo.type === 'uniform';
-  const hasCompositeBorder = borderInfo.type === 'composite';
+  // Borders outside a clip-path shape are cut away, so per-side overlays are dropped
+  const hasCompositeBorder = borderInfo.type === 'composite' && !clipCommands;
 
-  const shadowStr = style.boxShadow;
-  const hasShadow = shadowStr && shadowStr !== 'none';
   const softEdge = getSoftEdges(style.filter, config.scale);
 
   let isImageWrapper = false;
@@ -447,42 +1410,35 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
   }
 
   let textPayload = null;
-  const isText = isTextContainer(node);
+  const isList = isListContainer(node);
+  const isText = !isControl && (isList || isTextContainer(node));
+  // Controls show their live value, not their markup (textContent)
+  const controlText = isControl && getFormControlText(node, style, config);
+  if (controlText) {
+    textPayload = { ...controlText, inset: getPadding(style, config.scale), markerColors: [] };
+  }
 
   if (isText) {
     const textParts = [];
-    const isList = style.display === 'list-item';
+    let markerColors = [];
     if (isList) {
-      const fontSizePt = parseFloat(style.fontSize) * 0.75 * config.scale;
-      const bulletShift = (parseFloat(style.fontSize) || 16) * PX_TO_INCH * config.scale * 1.5;
-      x -= bulletShift;
-      w += bulletShift;
-      textParts.push({
-        text: '    ',
-        options: {
-          color: parseColor(style.color).hex || '000000',
-          fontSize: fontSizePt,
-        },
-      });
-    }
-
-    node.childNodes.forEach((child, index) => {
-      let textVal = child.nodeType === 3 ? child.nodeValue : child.textContent;
-      let nodeStyle = child.nodeType === 1 ? window.getComputedStyle(child) : style;
-      textVal = textVal.replace(/[\n\r\t]+/g, ' ').replace(/\s{2,}/g, ' ');
-      if (index === 0 && !isList) textVal = textVal.trimStart();
-      else if (index === 0) textVal = textVal.trimStart();
-      if (index === node.childNodes.length - 1) textVal = textVal.trimEnd();
-      if (nodeStyle.textTransform === 'uppercase') textVal = textVal.toUpperCase();
-      if (nodeStyle.textTransform === 'lowercase') textVal = textVal.toLowerCase();
-
-      if (textVal.length > 0) {
-        textParts.push({
-          text: textVal,
-          options: getTextStyle(nodeStyle, config.scale),
-        });
+      const list = getListParts(node, config);
+      textParts.push(...list.parts);
+      markerColors = list.markerColors;
+    } else {
+      textParts.push(...getTextParts(node, style, config));
+      const listItem = style.display === 'list-item' && getListItemBullet(node, style, config);
+      if (listItem && textParts.length > 0) {
+        applyListParagraph(textParts, { bullet: listItem.bullet });
+        markerColors = [listItem.markerColor];
+        if (style.listStylePosition !== 'inside') {
+          // Outside markers hang to the left of the item box
+          const bulletShift = listItem.bullet.indent / 72;
+          x -= bulletShift;
+          w += bulletShift;
+        }
       }
-    });
+    }
 
     if (textParts.length > 0) {
       let align = style.textAlign || 'left';
@@ -498,12 +1454,125 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
 
       let padding = getPadding(style, config.scale);
       if (align === 'center' && valign === 'middle') padding = [0, 0, 0, 0];
+      // The list's left padding is already the bullet indent
+      if (isList) padding[3] = 0;
 
-      textPayload = { text: textParts, align, valign, inset: padding };
+      textPayload = { text: textParts, align, valign, inset: padding, markerColors };
     }
   }
 
-  if (hasGradient || (softEdge && bgColorObj.hex && !isImageWrapper)) {
+  // Simple gradients stay a real shape; the fill is swapped for <a:gradFill> after writing
+  const nativeGradient =
+    config.gradientFills &&
+    hasGradient &&
+    !hasUrlBackground &&
+    !softEdge &&
+    !hasPartialBorderRadius &&
+    !isImageWrapper
+      ? getNativeGradient(style.backgroundImage, widthPx, heightPx, bgColorObj)
+      : null;
+
+  let job = null;
+  const radii = {
+    tl: borderTopLeftRadius,
+    tr: borderTopRightRadius,
+    br: borderBottomRightRadius,
+    bl: borderBottomLeftRadius,
+  };
+
+  const hasSvgBackground =
+    (hasGradient && !nativeGradient) || (softEdge && bgColorObj.hex && !isImageWrapper);
+  const useSolidFill = bgColorObj.hex && !isImageWrapper;
+  // Only a filled native shape can carry the shadow itself
+  const canUseNativeShadow =
+    !hasUrlBackground &&
+    !hasSvgBackground &&
+    (!!nativeGradient || (useSolidFill && !(hasPartialBorderRadius && !textPayload)));
+  const clipPathData = clipCommands ? toSvgPathData(clipCommands) : null;
+  // clip-path cuts away the shadow as well
+  const boxShadow = getBoxShadowPlan(
+    clipCommands ? 'none' : style.boxShadow,
+    config.scale,
+    canUseNativeShadow
+  );
+  const shadowItems = createShadowItems(boxShadow, { ...shadowBox, radii }, pptx);
+  items.push(...shadowItems.below);
+  // Without post-processing, offset text shadows fall back to the shadow of the text box
+  const textBoxShadow = config.runShadows ? null : getTextShadow(style.textShadow, config.scale);
+
+  if (hasUrlBackground) {
+    // The root covering the whole slide becomes the slide background itself
+    const isSlideBackground =
+      node === config.root && Math.abs(config.offX) < 0.01 && Math.abs(config.offY) < 0.01;
+    const border =
+      hasUniformBorder && !isSlideBackground
+        ? { color: borderInfo.options.color, width: parseFloat(style.borderTopWidth) }
+        : null;
+    const item = isSlideBackground
+      ? { type: 'background', zIndex, domOrder, options: { data: null } }
+      : {
+          type: 'image',
+          zIndex,
+          domOrder,
+          options: { x, y, w, h, rotate: rotation, flipH, flipV, data: null },
+        };
+    items.push(item);
+
+    job = async () => {
+      const data = await getBackgroundImage(
+        style,
+        widthPx,
+        heightPx,
+        radii,
+        border,
+        clipPathData,
+        config.images
+      );
+      if (data) item.options.data = data;
+      else item.skip = true;
+    };
+
+    if (textPayload) {
+      items.push({
+        type: 'text',
+        zIndex: zIndex + 1,
+        domOrder,
+        textParts: textPayload.text,
+        options: {
+          x,
+          y,
+          w,
+          h,
+          align: textPayload.align,
+          valign: textPayload.valign,
+          inset: textPayload.inset,
+          rotate: rotation,
+          flipH,
+          flipV,
+          margin: 0,
+          wrap: true,
+          autoFit: false,
+          shadow: textBoxShadow,
+        },
+      });
+    }
+    if (hasCompositeBorder && !isSlideBackground) {
+      const borderSvgData = generateCompositeBorderSVG(
+        widthPx,
+        heightPx,
+        borderRadiusValue,
+        borderInfo.sides
+      );
+      if (borderSvgData) {
+        items.push({
+          type: 'image',
+          zIndex: zIndex + 1,
+          domOrder,
+          options: { data: borderSvgData, x, y, w, h, rotate: rotation, flipH, flipV },
+        });
+      }
+    }
+  } else if (hasSvgBackground) {
     let bgData = null;
     let padIn = 0;
     if (softEdge) {
@@ -521,8 +1590,9 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
         widthPx,
         heightPx,
         style.backgroundImage,
-        borderRadiusValue,
-        hasBorder ? { color: borderColorObj.hex, width: borderWidth } : null
+        clipPathData || radii,
+        hasBorder && !clipPathData ? { color: borderColorObj.hex, width: borderWidth } : null,
+        bgColorObj
       );
     }
 
@@ -538,6 +1608,8 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
           w: w + padIn * 2,
           h: h + padIn * 2,
           rotate: rotation,
+          flipH,
+          flipV,
         },
       });
     }
@@ -557,20 +1629,26 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
           valign: textPayload.valign,
           inset: textPayload.inset,
           rotate: rotation,
+          flipH,
+          flipV,
           margin: 0,
           wrap: true,
           autoFit: false,
+          shadow: textBoxShadow,
         },
       });
     }
     if (hasCompositeBorder) {
       const borderItems = createCompositeBorderItems(
         borderInfo.sides,
-        x,
-        y,
-        w,
-        h,
-        config.scale,
+        { x, y, w, h },
+        {
+          scaleX: scaleX * config.scaleX,
+          scaleY: scaleY * config.scaleY,
+          rotation,
+          flipH,
+          flipV,
+        },
         zIndex,
         domOrder
       );
@@ -578,16 +1656,15 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
     }
   } else if (
     (bgColorObj.hex && !isImageWrapper) ||
+    nativeGradient ||
     hasUniformBorder ||
     hasCompositeBorder ||
-    hasShadow ||
     textPayload
   ) {
     const finalAlpha = safeOpacity * bgColorObj.opacity;
     const transparency = (1 - finalAlpha) * 100;
-    const useSolidFill = bgColorObj.hex && !isImageWrapper;
 
-    if (hasPartialBorderRadius && useSolidFill && !textPayload) {
+    if (hasPartialBorderRadius && useSolidFill && !textPayload && !clipCommands) {
       const shapeSvg = generateCustomShapeSVG(
         widthPx,
         heightPx,
@@ -605,7 +1682,7 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
         type: 'image',
         zIndex,
         domOrder,
-        options: { data: shapeSvg, x, y, w, h, rotate: rotation },
+        options: { data: shapeSvg, x, y, w, h, rotate: rotation, flipH, flipV },
       });
     } else {
       const shapeOpts = {
@@ -614,20 +1691,48 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
         w,
         h,
         rotate: rotation,
+        flipH,
+        flipV,
         fill: useSolidFill
           ? { color: bgColorObj.hex, transparency: transparency }
           : { type: 'none' },
         line: hasUniformBorder ? borderInfo.options : null,
       };
 
-      if (hasShadow) shapeOpts.shadow = getVisibleShadow(shadowStr, config.scale);
+      if (boxShadow.native) shapeOpts.shadow = boxShadow.native;
+      else if (textPayload && !useSolidFill && !hasUniformBorder) shapeOpts.shadow = textBoxShadow;
+
+      if (nativeGradient) {
+        const name = `dom-to-pptx-gradient-${config.gradientFills.size + 1}`;
+        // Element opacity has to live in the stops, the placeholder fill is discarded
+        config.gradientFills.set(name, {
+          ...nativeGradient,
+          stops: nativeGradient.stops.map((stop) => ({
+            ...stop,
+            color: { ...stop.color, a: stop.color.a * safeOpacity },
+          })),
+        });
+        shapeOpts.objectName = name;
+        // Placeholder so PptxGenJS writes a <a:solidFill> to replace
+        const { r, g, b } = nativeGradient.stops[0].color;
+        shapeOpts.fill = { color: parseColor(`rgb(${r}, ${g}, ${b})`).hex || 'FFFFFF' };
+      }
 
       const borderRadius = parseFloat(style.borderRadius) || 0;
       const aspectRatio = Math.max(widthPx, heightPx) / Math.min(widthPx, heightPx);
       const isCircle = aspectRatio < 1.1 && borderRadius >= Math.min(widthPx, heightPx) / 2 - 1;
 
       let shapeType = pptx.ShapeType.rect;
-      if (isCircle) shapeType = pptx.ShapeType.ellipse;
+      if (clipCommands) {
+        // The clip shape becomes the geometry; borders along it would not be clipped
+        shapeType = pptx.ShapeType.custGeom;
+        shapeOpts.points = toCustomGeometry(
+          clipCommands,
+          unrotatedW / widthPx,
+          unrotatedH / heightPx
+        );
+        shapeOpts.line = null;
+      } else if (isCircle) shapeType = pptx.ShapeType.ellipse;
       else if (borderRadius > 0) {
         shapeType = pptx.ShapeType.roundRect;
         shapeOpts.rectRadius = Math.min(0.5, borderRadius / Math.min(widthPx, heightPx));
@@ -674,58 +1779,75 @@ function prepareRenderItem(node, config, domOrder, pptx, effectiveZIndex, comput
           type: 'image',
           zIndex: zIndex + 1,
           domOrder,
-          options: { data: borderSvgData, x, y, w, h, rotate: rotation },
+          options: { data: borderSvgData, x, y, w, h, rotate: rotation, flipH, flipV },
         });
       }
     }
   }
 
-  return { items, stopRecursion: !!textPayload };
-}
+  items.push(...shadowItems.above);
 
-function createCompositeBorderItems(sides, x, y, w, h, scale, zIndex, domOrder) {
-  const items = [];
-  const pxToInch = 1 / 96;
-  const common = { zIndex: zIndex + 1, domOrder, shapeType: 'rect' };
+  if (controlShapes) items.push(...controlShapes.items);
 
-  if (sides.top.width > 0)
-    items.push({
-      ...common,
-      options: { x, y, w, h: sides.top.width * pxToInch * scale, fill: { color: sides.top.color } },
-    });
-  if (sides.right.width > 0)
-    items.push({
-      ...common,
-      options: {
-        x: x + w - sides.right.width * pxToInch * scale,
-        y,
-        w: sides.right.width * pxToInch * scale,
-        h,
-        fill: { color: sides.right.color },
-      },
-    });
-  if (sides.bottom.width > 0)
-    items.push({
-      ...common,
-      options: {
-        x,
-        y: y + h - sides.bottom.width * pxToInch * scale,
-        w,
-        h: sides.bottom.width * pxToInch * scale,
-        fill: { color: sides.bottom.color },
-      },
-    });
-  if (sides.left.width > 0)
-    items.push({
-      ...common,
-      options: {
-        x,
-        y,
-        w: sides.left.width * pxToInch * scale,
-        h,
-        fill: { color: sides.left.color },
-      },
-    });
+  const textItem = textPayload && items.find((item) => item.type === 'text');
+  if (textItem) registerTextPatches(textItem, textPayload.markerColors, config);
+
+  return { items, job, stopRecursion: !!textPayload || isControl };
+}
 
-  return items;
+/**
+ * Draws each side of a multi-color border as a native rectangle strip over the element box.
+ * Strips are laid out in the untransformed box, mirrored by the flips and then turned with
+ * the element around its center, since PowerPoint rotates every strip about its own center.
+ * @param {Object} sides - From `getBorderInfo`, `{ top, right, bottom, left }` of `{ width, color }`.
+ * @param {{ x: number, y: number, w: number, h: number }} box - Untransformed box in inches.
+ * @param {{ scaleX: number, scaleY: number, rotation: number, flipH: boolean, flipV: boolean }} transform
+ *   - Pixel to box-unit scales (fit and element scale) and the element's rotation and flips.
+ * @param {number} zIndex
+ * @param {number} domOrder
+ * @returns {Array} Shape items.
+ */
+function createCompositeBorderItems(sides, box, transform, zIndex, domOrder) {
+  const { x, y, w, h } = box;
+  const { scaleX, scaleY, rotation = 0, flipH, flipV } = transform;
+  const top = sides.top.width * PX_TO_INCH * scaleY;
+  const right = sides.right.width * PX_TO_INCH * scaleX;
+  const bottom = sides.bottom.width * PX_TO_INCH * scaleY;
+  const left = sides.left.width * PX_TO_INCH * scaleX;
+  const strips = [
+    { width: top, color: sides.top.color, rect: { x: 0, y: 0, w, h: top } },
+    { width: right, color: sides.right.color, rect: { x: w - right, y: 0, w: right, h } },
+    { width: bottom, color: sides.bottom.color, rect: { x: 0, y: h - bottom, w, h: bottom } },
+    { width: left, color: sides.left.color, rect: { x: 0, y: 0, w: left, h } },
+  ];
+
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return strips
+    .filter((strip) => strip.width > 0)
+    .map(({ color, rect }) => {
+      // Strip center relative to the box center, flipped then rotated like the element
+      let dx = rect.x + rect.w / 2 - w / 2;
+      let dy = rect.y + rect.h / 2 - h / 2;
+      if (flipH) dx = -dx;
+      if (flipV) dy = -dy;
+      const cx = x + w / 2 + dx * cos - dy * sin;
+      const cy = y + h / 2 + dx * sin + dy * cos;
+      return {
+        type: 'shape',
+        zIndex: zIndex + 1,
+        domOrder,
+        shapeType: 'rect',
+        options: {
+          x: cx - rect.w / 2,
+          y: cy - rect.h / 2,
+          w: rect.w,
+          h: rect.h,
+          rotate: rotation,
+          fill: { color },
+        },
+      };
+    });
 }
@@ -0,0 +1,164 @@
+// src/list-processor.js
+import { parseColor, getTextParts, isInlineTextElement } from './utils.js';
+
+const BULLET_CHARS = { disc: '2022', circle: '25CB', square: '25AA' };
+const NUMBER_STYLES = {
+  decimal: 'arabicPeriod',
+  'decimal-leading-zero': 'arabicPeriod',
+  'lower-alpha': 'alphaLcPeriod',
+  'lower-latin': 'alphaLcPeriod',
+  'upper-alpha': 'alphaUcPeriod',
+  'upper-latin': 'alphaUcPeriod',
+  'lower-roman': 'romanLcPeriod',
+  'upper-roman': 'romanUcPeriod',
+};
+
+function isListElement(node) {
+  return node.tagName === 'UL' || node.tagName === 'OL';
+}
+
+function hasBoxStyling(style) {
+  const bg = parseColor(style.backgroundColor);
+  const hasBorder = parseFloat(style.borderWidth) > 0 && parseColor(style.borderColor).opacity > 0;
+  return (bg.hex && bg.opacity > 0) || hasBorder || style.backgroundImage !== 'none';
+}
+
+/**
+ * Checks if a `<ul>`/`<ol>` only holds plain text items (inline formatting and nested lists),
+ * so the whole tree can be exported as a single text box with native bullets. Lists whose
+ * items are styled boxes (cards, badges...) keep rendering item by item.
+ */
+export function isListContainer(node) {
+  if (!isListElement(node) || node.textContent.trim().length === 0) return false;
+
+  return Array.from(node.children).every((li) => {
+    if (li.tagName !== 'LI') return false;
+    const style = window.getComputedStyle(li);
+    if (style.display === 'none') return true;
+    if (style.display !== 'list-item' || hasBoxStyling(style)) return false;
+
+    return Array.from(li.children).every((child) =>
+      isListElement(child) ? isListContainer(child) : isInlineTextElement(child)
+    );
+  });
+}
+
+/**
+ * Builds one paragraph per `<li>` (nested lists become higher indent levels) with native
+ * bullet/numbering options.
+ * @param {HTMLUListElement | HTMLOListElement} list - The outermost list.
+ * @param {Object} config - Layout config ({ scale, roots }).
+ * @returns {{ parts: Array, markerColors: Array<string | null> }} - Text runs and, for every
+ *   bulleted paragraph in order, the `::marker` color when it differs from the item text.
+ */
+export function getListParts(list, config) {
+  const parts = [];
+  const markerColors = [];
+  collectListItems(list, 0, config, parts, markerColors);
+  return { parts, markerColors };
+}
+
+function collectListItems(list, level, config, parts, markerColors) {
+  // PowerPoint numbers consecutive paragraphs sharing a `startAt` on from it, so an item with
+  // a `value` starts a new run of paragraphs carrying that value
+  let startAt = list.tagName === 'OL' ? list.start : 1;
+
+  Array.from(list.children).forEach((li) => {
+    const style = window.getComputedStyle(li);
+    if (style.display === 'none') return;
+    const value = parseInt(li.getAttribute('value'), 10);
+    if (!isNaN(value)) startAt = value;
+
+    const nested = Array.from(li.children).filter(isListElement);
+    const runs = getTextParts(
+      li,
+      style,
+      config,
+      Array.from(li.childNodes).filter((child) => !nested.includes(child))
+    );
+
+    if (runs.length > 0) {
+      const bullet = getBullet(list, style, startAt, config.scale);
+      applyListParagraph(runs, { bullet: bullet || false, indentLevel: level });
+      runs[runs.length - 1].options.breakLine = true;
+      parts.push(...runs);
+      if (bullet) markerColors.push(getMarkerColor(li, style));
+    }
+
+    nested.forEach((child) => collectListItems(child, level + 1, config, parts, markerColors));
+  });
+}
+
+/**
+ * Turns the runs of one `<li>` into a single list paragraph. Every run carries the paragraph
+ * options so PptxGenJS writes the same <a:pPr> for each, and line breaks inside the item
+ * become soft breaks so they don't start new bulleted paragraphs.
+ * @param {Array} runs - Text runs from `getTextParts`.
+ * @param {{ bullet: Object | false, indentLevel?: number }} paragraph - Paragraph options.
+ */
+export function applyListParagraph(runs, paragraph) {
+  runs.forEach((run, i) => {
+    Object.assign(run.options, paragraph);
+    if (i > 0 && runs[i - 1].options.breakLine) {
+      delete runs[i - 1].options.breakLine;
+      run.options.softBreakBefore = true;
+    }
+  });
+}
+
+/**
+ * Bullet options for an `<li>` rendered as its own text box (a list that is not a plain
+ * text tree). Numbered items start at their own position in the list.
+ * @returns {{ bullet: Object, markerColor: string | null } | null}
+ */
+export function getListItemBullet(li, style, config) {
+  const list = li.parentElement;
+  if (!list || !isListElement(list)) return null;
+
+  let startAt = 1;
+  if (li.hasAttribute('value')) {
+    startAt = parseInt(li.getAttribute('value')) || 1;
+  } else if (list.tagName === 'OL') {
+    const items = Array.from(list.children).filter((child) => child.tagName === 'LI');
+    startAt = list.start + items.indexOf(li);
+  }
+
+  const bullet = getBullet(list, style, startAt, config.scale);
+  return bullet ? { bullet, markerColor: getMarkerColor(li, style) } : null;
+}
+
+/**
+ * Maps `list-style-type` to PptxGenJS bullet options. The hanging indent follows the list's
+ * left padding, which is where the browser puts outside markers.
+ */
+function getBullet(list, style, startAt, scale) {
+  const type = style.listStyleType;
+  if (!type || type === 'none') return null;
+
+  const listStyle = window.getComputedStyle(list);
+  const fontSize = parseFloat(style.fontSize) || 16;
+  const indentPx = parseFloat(listStyle.paddingLeft) || fontSize * 1.5;
+  const indent = indentPx * 0.75 * scale;
+
+  if (NUMBER_STYLES[type]) {
+    return { type: 'number', style: NUMBER_STYLES[type], startAt, indent };
+  }
+
+  // String markers, e.g. list-style-type: "→"
+  const custom = type.match(/^["'](.+)["']$/);
+  const codePoint = custom ? custom[1].trim().codePointAt(0) : null;
+  if (codePoint && codePoint <= 0xffff) {
+    return { characterCode: codePoint.toString(16).toUpperCase().padStart(4, '0'), indent };
+  }
+
+  if (!BULLET_CHARS[type] && list.tagName === 'OL') {
+    return { type: 'number', style: 'arabicPeriod', startAt, indent };
+  }
+  return { characterCode: BULLET_CHARS[type] || BULLET_CHARS.disc, indent };
+}
+
+function getMarkerColor(li, style) {
+  const marker = parseColor(window.getComputedStyle(li, '::marker').color);
+  const text = parseColor(style.color);
+  return marker.hex && marker.hex !== text.hex ? marker.hex : null;
+}
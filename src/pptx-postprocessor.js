@@ -0,0 +1,416 @@
+// src/pptx-postprocessor.js
+import JSZip from 'jszip';
+
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/**
+ * Rewrites the slide XML of a deck generated by PptxGenJS.
+ * Used for OOXML features PptxGenJS cannot express (gradient fills, animations...).
+ * @param {ArrayBuffer} data - Output of `pptx.write({ outputType: 'arraybuffer' })`.
+ * @param {Array<(xml: string, slideNumber: number) => string>} transforms - Applied in order to
+ *   every `ppt/slides/slideN.xml`.
+ * @param {string} outputType - JSZip output type ('blob', 'arraybuffer', 'uint8array', 'base64').
+ * @param {boolean} [compression=false] - Deflate the zip entries.
+ * @param {boolean} [mergeMedia=false] - Keep a single copy of identical media files (PptxGenJS
+ *   embeds every use of an image data URL again).
+ */
+export async function postProcessPptx(
+  data,
+  transforms,
+  outputType,
+  compression = false,
+  mergeMedia = false
+) {
+  const zip = await JSZip.loadAsync(data);
+  if (mergeMedia) await dedupeMedia(zip);
+  const slideFiles = Object.keys(zip.files).filter((name) =>
+    /^ppt\/slides\/slide\d+\.xml$/.test(name)
+  );
+
+  for (const name of slideFiles) {
+    const slideNumber = parseInt(name.match(/slide(\d+)\.xml$/)[1]);
+    let xml = await zip.file(name).async('string');
+    transforms.forEach((transform) => {
+      xml = transform(xml, slideNumber);
+    });
+    zip.file(name, xml);
+  }
+
+  return zip.generateAsync({
+    type: outputType,
+    mimeType: PPTX_MIME_TYPE,
+    compression: compression ? 'DEFLATE' : 'STORE',
+  });
+}
+
+/**
+ * Points every relationship to a duplicate file of `ppt/media` at its first copy and removes
+ * the duplicates. Files are grouped by a hash of their bytes, then compared byte by byte.
+ */
+async function dedupeMedia(zip) {
+  const mediaFiles = Object.keys(zip.files).filter((name) => /^ppt\/media\/[^/]+$/.test(name));
+  const groups = new Map(); // hash -> [{ name, bytes }]
+  const replacements = new Map(); // duplicate file name -> kept file name
+
+  for (const name of mediaFiles) {
+    const bytes = await zip.file(name).async('uint8array');
+    const extension = name.slice(name.lastIndexOf('.'));
+    const key = `${hashBytes(bytes)}:${bytes.length}${extension}`;
+    if (!groups.has(key)) groups.set(key, []);
+    const group = groups.get(key);
+    const original = group.find((file) => equalBytes(file.bytes, bytes));
+    if (original) replacements.set(name.slice('ppt/media/'.length), original.name);
+    else group.push({ name: name.slice('ppt/media/'.length), bytes });
+  }
+  if (replacements.size === 0) return;
+
+  const relFiles = Object.keys(zip.files).filter((name) => name.endsWith('.rels'));
+  for (const name of relFiles) {
+    const xml = await zip.file(name).async('string');
+    const patched = xml.replace(/Target="\.\.\/media\/([^"]+)"/g, (match, file) =>
+      replacements.has(file) ? `Target="../media/${replacements.get(file)}"` : match
+    );
+    if (patched !== xml) zip.file(name, patched);
+  }
+  replacements.forEach((kept, duplicate) => zip.remove(`ppt/media/${duplicate}`));
+}
+
+// FNV-1a
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Triggers a browser download, mirroring what `pptx.writeFile` does.
+ */
+export function saveBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  setTimeout(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Replaces the placeholder solid fill of named shapes with `<a:gradFill>`.
+ * @param {string} xml - Slide XML.
+ * @param {Map<string, Object>} gradients - objectName -> gradient from `parseGradient`.
+ */
+export function applyGradientFills(xml, gradients) {
+  return xml.replace(/<p:sp>[\s\S]*?<\/p:sp>/g, (shapeXml) => {
+    const name = shapeXml.match(/<p:cNvPr [^>]*name="([^"]*)"/);
+    const gradient = name && gradients.get(name[1]);
+    if (!gradient) return shapeXml;
+    return shapeXml.replace(
+      /(<p:spPr>[\s\S]*?)<a:solidFill>[\s\S]*?<\/a:solidFill>/,
+      (match, before) => before + createGradientFillXml(gradient)
+    );
+  });
+}
+
+/**
+ * Colors the bullets of named text shapes (PptxGenJS always uses the text color).
+ * @param {string} xml - Slide XML.
+ * @param {Map<string, Array<string | null>>} markerColors - objectName -> hex color for every
+ *   bulleted paragraph, in order (null keeps the default).
+ */
+export function applyBulletColors(xml, markerColors) {
+  return xml.replace(/<p:sp>[\s\S]*?<\/p:sp>/g, (shapeXml) => {
+    const name = shapeXml.match(/<p:cNvPr [^>]*name="([^"]*)"/);
+    const colors = name && markerColors.get(name[1]);
+    if (!colors) return shapeXml;
+
+    let bulletIndex = 0;
+    return shapeXml.replace(/<a:p>[\s\S]*?<\/a:p>/g, (paragraphXml) => {
+      if (!paragraphXml.includes('<a:buSzPct')) return paragraphXml;
+      const color = colors[bulletIndex++];
+      if (!color) return paragraphXml;
+      return paragraphXml.replace(
+        /<a:buSzPct/g,
+        `<a:buClr><a:srgbClr val="${color}"/></a:buClr><a:buSzPct`
+      );
+    });
+  });
+}
+
+/**
+ * Adds run-level text shadows to named text shapes (PptxGenJS only writes shape shadows).
+ * @param {string} xml - Slide XML.
+ * @param {Map<string, Array<Object | null>>} runShadows - objectName -> PptxGenJS shadow
+ *   options for every non-empty text run, in order (null leaves the run alone).
+ */
+export function applyRunShadows(xml, runShadows) {
+  return xml.replace(/<p:sp>[\s\S]*?<\/p:sp>/g, (shapeXml) => {
+    const name = shapeXml.match(/<p:cNvPr [^>]*name="([^"]*)"/);
+    const shadows = name && runShadows.get(name[1]);
+    if (!shadows) return shapeXml;
+
+    let runIndex = 0;
+    return shapeXml.replace(/<a:r>[\s\S]*?<\/a:r>/g, (runXml) => {
+      const shadow = shadows[runIndex++];
+      return shadow ? addRunEffect(runXml, createOuterShadowXml(shadow)) : runXml;
+    });
+  });
+}
+
+function addRunEffect(runXml, effectXml) {
+  if (runXml.includes('</a:effectLst>')) {
+    // Glow comes first in the effect list sequence
+    return runXml.replace('</a:effectLst>', `${effectXml}</a:effectLst>`);
+  }
+  const effectList = `<a:effectLst>${effectXml}</a:effectLst>`;
+  if (/<a:rPr[^>]*\/>/.test(runXml)) {
+    return runXml.replace(/<a:rPr([^>]*)\/>/, `<a:rPr$1>${effectList}</a:rPr>`);
+  }
+  // The effect list follows the outline and fill of the run
+  const anchor = [/<\/a:solidFill>/, /<\/a:ln>/, /<a:rPr[^>]*>/]
+    .map((re) => runXml.match(re))
+    .find(Boolean);
+  if (!anchor) return runXml;
+  const at = anchor.index + anchor[0].length;
+  return runXml.slice(0, at) + effectList + runXml.slice(at);
+}
+
+function createOuterShadowXml(shadow) {
+  const blur = Math.round(shadow.blur * 12700);
+  const dist = Math.round(shadow.offset * 12700);
+  const dir = Math.round(shadow.angle * 60000);
+  const alpha = Math.round(shadow.opacity * 100000);
+  return `<a:outerShdw blurRad="${blur}" dist="${dist}" dir="${dir}" algn="ctr" rotWithShape="0"><a:srgbClr val="${shadow.color}"><a:alpha val="${alpha}"/></a:srgbClr></a:outerShdw>`;
+}
+
+/**
+ * Builds a DrawingML gradient fill from a parsed linear or radial gradient.
+ */
+export function createGradientFillXml(gradient) {
+  const stops = gradient.stops
+    .map((stop) => {
+      const { r, g, b, a } = stop.color;
+      const hex = [r, g, b]
+        .map((v) => Math.round(v).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+      const pos = Math.round(Math.min(Math.max(stop.offset, 0), 1) * 100000);
+      const alpha = a < 1 ? `<a:alpha val="${Math.round(a * 100000)}"/>` : '';
+      return `<a:gs pos="${pos}"><a:srgbClr val="${hex}">${alpha}</a:srgbClr></a:gs>`;
+    })
+    .join('');
+
+  let shade;
+  if (gradient.type === 'radial') {
+    // fillToRect insets (in 1/1000 %) place the center of the path gradient
+    const l = Math.round((gradient.cx / gradient.width) * 100000);
+    const t = Math.round((gradient.cy / gradient.height) * 100000);
+    shade = `<a:path path="circle"><a:fillToRect l="${l}" t="${t}" r="${100000 - l}" b="${100000 - t}"/></a:path>`;
+  } else {
+    // CSS 0deg points up, DrawingML 0 points right; both run clockwise
+    const angle = (((gradient.angle - 90) % 360) + 360) % 360;
+    shade = `<a:lin ang="${Math.round(angle * 60000)}" scaled="0"/>`;
+  }
+
+  return `<a:gradFill rotWithShape="1"><a:gsLst>${stops}</a:gsLst>${shade}</a:gradFill>`;
+}
+
+/**
+ * Adds the slide transition and the entrance animations of named shapes (`<p:transition>`
+ * and `<p:timing>`, which PptxGenJS doesn't write).
+ * @param {string} xml - Slide XML.
+ * @param {{ transition: Object | null, animations: Array }} timing - Transition from
+ *   `getSlideTransition`, and builds from `getElementAnimation` with the objectNames of the
+ *   shapes they animate (`names`) and the DOM order of their element (`domOrder`).
+ */
+export function applySlideTiming(xml, timing) {
+  if (!timing) return xml;
+
+  // Animations target shapes by id, PptxGenJS numbers them while writing
+  const shapeIds = new Map();
+  const shapeRe = /<p:(sp|pic|graphicFrame)>\s*<p:nv\w+>\s*<p:cNvPr id="(\d+)" name="([^"]*)"/g;
+  for (const match of xml.matchAll(shapeRe)) {
+    shapeIds.set(match[3], { id: match[2], kind: match[1] });
+  }
+
+  const builds = timing.animations
+    .map((animation) => ({
+      ...animation,
+      targets: animation.names.map((name) => shapeIds.get(name)).filter(Boolean),
+    }))
+    .filter((build) => build.targets.length > 0)
+    .sort((a, b) => (a.order === b.order ? a.domOrder - b.domOrder : a.order - b.order));
+
+  let timingXml = '';
+  if (timing.transition) timingXml += createTransitionXml(timing.transition);
+  if (builds.length > 0) timingXml += createTimingXml(builds);
+  if (!timingXml) return xml;
+  // Both follow the color map override in the slide's sequence
+  return xml.replace('</p:clrMapOvr>', `</p:clrMapOvr>${timingXml}`);
+}
+
+function createTransitionXml({ type, duration, direction }) {
+  const effects = {
+    fade: '<p:fade/>',
+    push: `<p:push dir="${direction}"/>`,
+    wipe: `<p:wipe dir="${direction}"/>`,
+    cover: `<p:cover dir="${direction}"/>`,
+    split: '<p:split orient="horz" dir="out"/>',
+    zoom: '<p:zoom/>',
+    dissolve: '<p:dissolve/>',
+    cut: '<p:cut/>',
+  };
+  // The 2006 schema only knows three speeds, PowerPoint 2010+ reads the exact duration
+  const speed = duration < 600 ? 'fast' : duration < 900 ? 'med' : 'slow';
+  const effect = effects[type];
+  return (
+    '<mc:AlternateContent xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006">' +
+    '<mc:Choice xmlns:p14="http://schemas.microsoft.com/office/powerpoint/2010/main" Requires="p14">' +
+    `<p:transition spd="${speed}" p14:dur="${duration}">${effect}</p:transition></mc:Choice>` +
+    `<mc:Fallback><p:transition spd="${speed}">${effect}</p:transition></mc:Fallback>` +
+    '</mc:AlternateContent>'
+  );
+}
+
+/**
+ * Builds the main sequence like PowerPoint's animation pane does: every click starts a group,
+ * inside which `after` builds start a new step once the previous one has finished and `with`
+ * builds join the current step.
+ */
+function createTimingXml(builds) {
+  let nextId = 3;
+  const clickGroups = [];
+  builds.forEach((build, i) => {
+    if (i === 0 || build.trigger === 'click') {
+      clickGroups.push({ auto: build.trigger !== 'click', steps: [{ builds: [build] }] });
+      return;
+    }
+    const steps = clickGroups[clickGroups.length - 1].steps;
+    if (build.trigger === 'with') steps[steps.length - 1].builds.push(build);
+    else steps.push({ builds: [build] });
+  });
+
+  const groupsXml = clickGroups
+    .map((group) => {
+      const groupId = nextId++;
+      let offset = 0;
+      const stepsXml = group.steps
+        .map((step, stepIndex) => {
+          const stepId = nextId++;
+          const effectsXml = step.builds
+            .map((build, buildIndex) =>
+              build.targets
+                .map((target, targetIndex) => {
+                  let nodeType = 'withEffect';
+                  if (buildIndex === 0 && targetIndex === 0) {
+                    if (stepIndex > 0) nodeType = 'afterEffect';
+                    else if (!group.auto) nodeType = 'clickEffect';
+                    else if (build.trigger === 'after') nodeType = 'afterEffect';
+                  }
+                  const effect = createEffectXml(build, target.id, nodeType, nextId);
+                  nextId = effect.nextId;
+                  return effect.xml;
+                })
+                .join('')
+            )
+            .join('');
+          const stepXml = `<p:par><p:cTn id="${stepId}" fill="hold"><p:stCondLst><p:cond delay="${offset}"/></p:stCondLst><p:childTnLst>${effectsXml}</p:childTnLst></p:cTn></p:par>`;
+          offset += Math.max(
+            ...step.builds.map(
+              (build) => build.delay + (build.effect === 'appear' ? 1 : build.duration)
+            )
+          );
+          return stepXml;
+        })
+        .join('');
+      // Builds before the first click start with the slide
+      const start =
+        '<p:cond delay="indefinite"/>' +
+        (group.auto ? '<p:cond evt="onBegin" delay="0"><p:tn val="2"/></p:cond>' : '');
+      return `<p:par><p:cTn id="${groupId}" fill="hold"><p:stCondLst>${start}</p:stCondLst><p:childTnLst>${stepsXml}</p:childTnLst></p:cTn></p:par>`;
+    })
+    .join('');
+
+  const builtShapes = new Map();
+  builds.forEach((build) =>
+    build.targets.forEach((target) => builtShapes.set(target.id, target.kind))
+  );
+  const bldXml = Array.from(builtShapes)
+    .map(([id, kind]) => {
+      if (kind === 'sp') return `<p:bldP spid="${id}" grpId="0" animBg="1"/>`;
+      if (kind === 'graphicFrame')
+        return `<p:bldGraphic spid="${id}" grpId="0"><p:bldAsOne/></p:bldGraphic>`;
+      return '';
+    })
+    .join('');
+
+  return (
+    '<p:timing><p:tnLst><p:par><p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>' +
+    `<p:seq concurrent="1" nextAc="seek"><p:cTn id="2" dur="indefinite" nodeType="mainSeq"><p:childTnLst>${groupsXml}</p:childTnLst></p:cTn>` +
+    '<p:prevCondLst><p:cond evt="onPrev" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:prevCondLst>' +
+    '<p:nextCondLst><p:cond evt="onNext" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:nextCondLst>' +
+    '</p:seq></p:childTnLst></p:cTn></p:par></p:tnLst>' +
+    (bldXml ? `<p:bldLst>${bldXml}</p:bldLst>` : '') +
+    '</p:timing>'
+  );
+}
+
+/**
+ * Builds one entrance effect on one shape, using PowerPoint's presets so the animation pane
+ * lists it by name.
+ * @returns {{ xml: string, nextId: number }}
+ */
+function createEffectXml(build, spid, nodeType, firstId) {
+  let id = firstId;
+  const { effect, duration } = build;
+  const target = `<p:tgtEl><p:spTgt spid="${spid}"/></p:tgtEl>`;
+  const behavior = (attrName, extra = '') =>
+    `<p:cBhvr${extra}><p:cTn id="${id++}" dur="${duration}" fill="hold"/>${target}<p:attrNameLst><p:attrName>${attrName}</p:attrName></p:attrNameLst></p:cBhvr>`;
+  const value = (v) =>
+    typeof v === 'number' ? `<p:fltVal val="${v}"/>` : `<p:strVal val="${v}"/>`;
+  const anim = (attrName, from, to, extra) =>
+    `<p:anim calcmode="lin" valueType="num">${behavior(attrName, extra)}<p:tavLst><p:tav tm="0"><p:val>${value(from)}</p:val></p:tav><p:tav tm="100000"><p:val>${value(to)}</p:val></p:tav></p:tavLst></p:anim>`;
+  const filter = (name) =>
+    `<p:animEffect transition="in" filter="${name}"><p:cBhvr><p:cTn id="${id++}" dur="${duration}"/>${target}</p:cBhvr></p:animEffect>`;
+
+  const effectId = id++;
+  const show = `<p:set><p:cBhvr><p:cTn id="${id++}" dur="1" fill="hold"><p:stCondLst><p:cond delay="0"/></p:stCondLst></p:cTn>${target}<p:attrNameLst><p:attrName>style.visibility</p:attrName></p:attrNameLst></p:cBhvr><p:to><p:strVal val="visible"/></p:to></p:set>`;
+
+  // presetID / presetSubtype of PowerPoint's Appear, Fade, Wipe (from left), Zoom and Fly In
+  // (from bottom)
+  let preset = [1, 0];
+  let behaviors = '';
+  if (effect === 'fade') {
+    preset = [10, 0];
+    behaviors = filter('fade');
+  } else if (effect === 'wipe') {
+    preset = [22, 8];
+    behaviors = filter('wipe(left)');
+  } else if (effect === 'zoom') {
+    preset = [53, 16];
+    behaviors = anim('ppt_w', 0, '#ppt_w') + anim('ppt_h', 0, '#ppt_h') + filter('fade');
+  } else if (effect === 'fly-in') {
+    preset = [2, 4];
+    behaviors =
+      anim('ppt_x', '#ppt_x', '#ppt_x', ' additive="base"') +
+      anim('ppt_y', '1+#ppt_h/2', '#ppt_y', ' additive="base"');
+  }
+
+  const xml = `<p:par><p:cTn id="${effectId}" presetID="${preset[0]}" presetClass="entr" presetSubtype="${preset[1]}" fill="hold" grpId="0" nodeType="${nodeType}"><p:stCondLst><p:cond delay="${build.delay}"/></p:stCondLst><p:childTnLst>${show}${behaviors}</p:childTnLst></p:cTn></p:par>`;
+  return { xml, nextId: id };
+}
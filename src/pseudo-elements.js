@@ -0,0 +1,333 @@
+// src/pseudo-elements.js
+
+const HIDDEN_CLASS = 'dom-to-pptx-pseudo-hidden';
+// Icon fonts map glyphs into the Private Use Area; PowerPoint won't have the font, so these
+// get a custom tag and go through the rasterized custom-element path
+const ICON_TAG = 'dom-to-pptx-icon';
+const ICON_GLYPH = /[\uE000-\uF8FF\u{F0000}-\u{FFFFD}]/u;
+// Replaced elements and SVG render no pseudo-elements
+const SKIPPED_TAGS = [
+  'IMG',
+  'INPUT',
+  'TEXTAREA',
+  'SELECT',
+  'VIDEO',
+  'CANVAS',
+  'IFRAME',
+  'BR',
+  'SVG',
+];
+const ROMAN = [
+  [1000, 'm'],
+  [900, 'cm'],
+  [500, 'd'],
+  [400, 'cd'],
+  [100, 'c'],
+  [90, 'xc'],
+  [50, 'l'],
+  [40, 'xl'],
+  [10, 'x'],
+  [9, 'ix'],
+  [5, 'v'],
+  [4, 'iv'],
+  [1, 'i'],
+];
+const SYMBOLS = { disc: '•', circle: '◦', square: '▪', 'disclosure-open': '▾' };
+
+/**
+ * Turns every `::before`/`::after` with a `content` under the roots into a real element with
+ * the pseudo-element's computed style, so the regular walk measures and exports it (shapes,
+ * text runs, images). The pseudo-elements themselves are hidden meanwhile. `counter()`,
+ * `counters()`, `attr()` and quotes are resolved.
+ * Note that the inserted elements count as children for `:nth-child` selectors until restored.
+ * @param {HTMLElement[]} roots - Slide roots.
+ * @returns {Function} - Removes the inserted elements and shows the pseudo-elements again.
+ */
+export function materializePseudoElements(roots) {
+  const inserted = [];
+  const hosts = [];
+  const styleSheets = new Map();
+
+  roots.forEach((root) => {
+    const doc = root.ownerDocument;
+    if (!styleSheets.has(doc)) {
+      const sheet = doc.createElement('style');
+      sheet.textContent = `.${HIDDEN_CLASS}-before::before, .${HIDDEN_CLASS}-after::after { content: none !important; }`;
+      styleSheets.set(doc, sheet);
+    }
+
+    // Styles are read before anything is inserted: new children would shift `:nth-child`
+    // and `:empty` matches for the pseudo-elements of their siblings
+    const pending = [];
+    const state = { counters: new Map(), quoteDepth: 0 };
+    popCounters(state.counters, visitElement(root, state, pending));
+
+    pending.forEach(({ host, which, style, text, image }) => {
+      const el = createPseudoElement(doc, style, text, image);
+      if (which === 'before') host.insertBefore(el, host.firstChild);
+      else host.appendChild(el);
+      host.classList.add(`${HIDDEN_CLASS}-${which}`);
+      inserted.push(el);
+      hosts.push(host);
+    });
+  });
+  styleSheets.forEach((sheet, doc) => doc.head.appendChild(sheet));
+
+  return () => {
+    inserted.forEach((el) => el.remove());
+    hosts.forEach((host) =>
+      host.classList.remove(`${HIDDEN_CLASS}-before`, `${HIDDEN_CLASS}-after`)
+    );
+    styleSheets.forEach((sheet) => sheet.remove());
+  };
+}
+
+/**
+ * Visits an element in document order, keeping CSS counters (Lists 3 scoping: a reset is seen
+ * by the element, its descendants and its following siblings) and collecting its
+ * pseudo-elements and those of its descendants.
+ * @param {{ counters: Map<string, number[]>, quoteDepth: number }} state - Counter name ->
+ *   nested instances (innermost last), and the quote nesting level.
+ * @returns {string[]} - Counters instantiated by the element, in scope until its parent ends.
+ */
+function visitElement(el, state, pending) {
+  const style = window.getComputedStyle(el);
+  if (style.display === 'none') return [];
+  const created = applyCounterProperties(style, state.counters);
+  if (SKIPPED_TAGS.includes(el.tagName.toUpperCase())) return created;
+
+  // Counters instantiated by the pseudo-elements are scoped to the element
+  const own = [];
+  const before = readPseudoElement(el, 'before', state, own);
+  if (before) pending.push(before);
+  Array.from(el.children).forEach((child) => own.push(...visitElement(child, state, pending)));
+  const after = readPseudoElement(el, 'after', state, own);
+  if (after) pending.push(after);
+  popCounters(state.counters, own);
+
+  return created;
+}
+
+function readPseudoElement(host, which, state, created) {
+  const { counters } = state;
+  const style = window.getComputedStyle(host, `::${which}`);
+  const content = style.content;
+  if (!content || content === 'none' || content === 'normal' || style.display === 'none') {
+    return null;
+  }
+  created.push(...applyCounterProperties(style, counters));
+
+  let text = '';
+  let image = null;
+  tokenizeContent(content).forEach((token) => {
+    if (token.type === 'string') text += token.value;
+    else if (token.type === 'url') image = token.value;
+    else if (token.type === 'attr') text += host.getAttribute(token.args[0]) || '';
+    else if (token.type === 'counter') {
+      const stack = counters.get(token.args[0]);
+      text += formatCounter(stack ? stack[stack.length - 1] : 0, token.args[1]);
+    } else if (token.type === 'counters') {
+      const stack = counters.get(token.args[0]) || [0];
+      text += stack.map((value) => formatCounter(value, token.args[2])).join(token.args[1] || '');
+    } else if (token.type === 'quote') {
+      text += getQuote(style.quotes, token.value, state);
+    }
+  });
+
+  return { host, which, style, text, image };
+}
+
+function createPseudoElement(doc, style, text, image) {
+  const el = doc.createElement(!image && ICON_GLYPH.test(text) ? ICON_TAG : 'span');
+  for (let i = 0; i < style.length; i++) {
+    const property = style[i];
+    el.style.setProperty(property, style.getPropertyValue(property));
+  }
+  // `content: url()` on a real element would replace its children with the image
+  el.style.setProperty('content', 'normal');
+  // Avoid replaying entry animations on the copy
+  el.style.setProperty('animation', 'none');
+  el.style.setProperty('transition', 'none');
+
+  if (image) {
+    const img = doc.createElement('img');
+    img.src = image;
+    img.alt = '';
+    el.appendChild(img);
+  }
+  if (text) el.appendChild(doc.createTextNode(text));
+  return el;
+}
+
+/**
+ * Applies `counter-reset`, `counter-increment` and `counter-set` of a computed style.
+ * @returns {string[]} - Names of the counter instances created (to pop when out of scope).
+ */
+function applyCounterProperties(style, counters) {
+  const created = [];
+  parseCounterList(style.counterReset, 0).forEach(({ name, value }) => {
+    if (!counters.has(name)) counters.set(name, []);
+    counters.get(name).push(value);
+    created.push(name);
+  });
+  parseCounterList(style.counterSet, 0).forEach(({ name, value }) => {
+    const stack = counters.get(name);
+    if (stack && stack.length) stack[stack.length - 1] = value;
+  });
+  parseCounterList(style.counterIncrement, 1).forEach(({ name, value }) => {
+    // Incrementing a counter nobody reset instantiates it on the element
+    if (!counters.has(name) || counters.get(name).length === 0) {
+      counters.set(name, [0]);
+      created.push(name);
+    }
+    const stack = counters.get(name);
+    stack[stack.length - 1] += value;
+  });
+  return created;
+}
+
+function popCounters(counters, names) {
+  names.forEach((name) => counters.get(name).pop());
+}
+
+function parseCounterList(value, defaultValue) {
+  if (!value || value === 'none') return [];
+  const tokens = value.trim().split(/\s+/);
+  const list = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const next = parseInt(tokens[i + 1], 10);
+    const hasValue = !isNaN(next) && /^[-+]?\d+$/.test(tokens[i + 1]);
+    list.push({ name: tokens[i], value: hasValue ? next : defaultValue });
+    if (hasValue) i++;
+  }
+  return list;
+}
+
+/**
+ * Splits a computed `content` value into strings, `url()`, `attr()`, `counter()`,
+ * `counters()` and quote keywords.
+ */
+function tokenizeContent(content) {
+  const tokens = [];
+  let i = 0;
+  while (i < content.length) {
+    const char = content[i];
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < content.length && content[i] !== char) {
+        if (content[i] === '\\') {
+          const hex = content.slice(i + 1).match(/^[0-9a-fA-F]{1,6} ?/);
+          if (hex) {
+            value += String.fromCodePoint(parseInt(hex[0], 16));
+            i += hex[0].length + 1;
+          } else {
+            value += content[i + 1] || '';
+            i += 2;
+          }
+        } else {
+          value += content[i++];
+        }
+      }
+      tokens.push({ type: 'string', value });
+      i++;
+    } else if (/[a-z-]/i.test(char)) {
+      const name = content.slice(i).match(/^[a-z-]+/i)[0];
+      i += name.length;
+      if (content[i] === '(') {
+        let depth = 1;
+        let end = i + 1;
+        while (end < content.length && depth > 0) {
+          if (content[end] === '(') depth++;
+          if (content[end] === ')') depth--;
+          end++;
+        }
+        const inner = content.slice(i + 1, end - 1);
+        i = end;
+        const args = splitArgs(inner);
+        if (name === 'url') tokens.push({ type: 'url', value: args[0] });
+        else if (name === 'attr' || name === 'counter' || name === 'counters') {
+          tokens.push({ type: name, args });
+        }
+      } else if (name.endsWith('quote')) {
+        tokens.push({ type: 'quote', value: name });
+      }
+    } else {
+      i++;
+    }
+  }
+  return tokens;
+}
+
+function splitArgs(inner) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  for (const char of inner) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  args.push(current.trim());
+  // `counters()` separators are strings and may be whitespace
+  return args.map((arg, i) => (arg === '' && i > 0 ? ' ' : arg));
+}
+
+/**
+ * Formats a counter value like `list-style-type` does.
+ */
+function formatCounter(value, styleType = 'decimal') {
+  if (SYMBOLS[styleType]) return SYMBOLS[styleType];
+  if (styleType === 'none') return '';
+  if (styleType === 'decimal-leading-zero') {
+    return (value < 0 ? '-' : '') + String(Math.abs(value)).padStart(2, '0');
+  }
+  if (/^(lower|upper)-(alpha|latin)$/.test(styleType) && value > 0) {
+    let letters = '';
+    for (let n = value; n > 0; n = Math.floor((n - 1) / 26)) {
+      letters = String.fromCharCode(97 + ((n - 1) % 26)) + letters;
+    }
+    return styleType.startsWith('upper') ? letters.toUpperCase() : letters;
+  }
+  if (/^(lower|upper)-roman$/.test(styleType) && value > 0 && value < 4000) {
+    let roman = '';
+    let n = value;
+    ROMAN.forEach(([amount, numeral]) => {
+      for (; n >= amount; n -= amount) roman += numeral;
+    });
+    return styleType.startsWith('upper') ? roman.toUpperCase() : roman;
+  }
+  return String(value);
+}
+
+function getQuote(quotesValue, keyword, state) {
+  const depth = state.quoteDepth;
+  if (keyword === 'no-open-quote' || keyword === 'no-close-quote') {
+    state.quoteDepth = keyword === 'no-open-quote' ? depth + 1 : Math.max(depth - 1, 0);
+    return '';
+  }
+
+  const pairs = [];
+  if (quotesValue && quotesValue !== 'auto' && quotesValue !== 'none') {
+    const strings = tokenizeContent(quotesValue).map((token) => token.value);
+    for (let i = 0; i + 1 < strings.length; i += 2) pairs.push([strings[i], strings[i + 1]]);
+  }
+  if (quotesValue === 'none') return '';
+  if (pairs.length === 0) pairs.push(['“', '”'], ['‘', '’']);
+
+  if (keyword === 'open-quote') {
+    state.quoteDepth = depth + 1;
+    return pairs[Math.min(depth, pairs.length - 1)][0];
+  }
+  if (depth === 0) return '';
+  state.quoteDepth = depth - 1;
+  return pairs[Math.min(depth - 1, pairs.length - 1)][1];
+}
@@ -0,0 +1,272 @@
+// src/shadow-processor.js
+import { parseShadowList, toPptxShadow, getRoundedRectPath } from './utils.js';
+
+/**
+ * Sorts the layers of a computed `box-shadow` by how they can be drawn.
+ * PowerPoint gives a shape one shadow, so only a single outer shadow (or a single inset one,
+ * as an inner shadow) stays native. Spread-only layers (focus rings, Tailwind `ring-*`)
+ * become outlines, the remaining outer layers are rendered into one SVG image and the
+ * remaining inset layers into another one, drawn over the element.
+ * @param {string} shadowStr - Computed `box-shadow`.
+ * @param {number} scale - Layout scale.
+ * @param {boolean} canUseNative - The element is drawn as a filled native shape.
+ * @returns {{ native: Object | null, rings: Array, layers: Array, insetLayers: Array }} -
+ *   PptxGenJS shadow for the element's shape, ring layers, outer layers for
+ *   `generateShadowSVG` and inset layers for `generateInsetShadowSVG` (px).
+ */
+export function getBoxShadowPlan(shadowStr, scale, canUseNative) {
+  const visible = parseShadowList(shadowStr).filter(
+    (layer) => layer.x !== 0 || layer.y !== 0 || layer.blur > 0 || layer.spread > 0
+  );
+  const rings = visible.filter(isRing);
+  let insetLayers = visible.filter((layer) => layer.inset && !isRing(layer));
+  let layers = visible.filter((layer) => !layer.inset && !isRing(layer));
+  let native = null;
+
+  if (canUseNative && insetLayers.length === 1) {
+    native = toPptxShadow(insetLayers[0], scale, 'inner');
+    insetLayers = [];
+  } else if (
+    canUseNative &&
+    insetLayers.length === 0 &&
+    layers.length === 1 &&
+    layers[0].spread === 0
+  ) {
+    native = toPptxShadow(layers[0], scale);
+    layers = [];
+  }
+
+  return { native, rings, layers, insetLayers };
+}
+
+function isRing(layer) {
+  return layer.x === 0 && layer.y === 0 && layer.blur === 0 && layer.spread > 0;
+}
+
+/**
+ * Creates the items drawn around an element for its shadow plan: the SVG image with the
+ * outer layers underneath, the SVG image with the inset layers on top, and one outline shape
+ * per ring.
+ * @param {Object} plan - Output of `getBoxShadowPlan`.
+ * @param {Object} box - Geometry and stacking of the element: { x, y, w, h, widthPx, heightPx,
+ *   radii, rotate, flipH, flipV, zIndex, domOrder, scale, opacity }.
+ * @param {PptxGenJS} pptx - For shape types.
+ * @returns {{ below: Array, above: Array }} - Items to add before and after the element's own.
+ */
+export function createShadowItems(plan, box, pptx) {
+  const below = [];
+  const above = [];
+  const inchX = box.w / box.widthPx;
+  const inchY = box.h / box.heightPx;
+  const xfrm = { rotate: box.rotate, flipH: box.flipH, flipV: box.flipV };
+  const isUniform = new Set(Object.values(box.radii)).size === 1;
+
+  // Rings with per-corner radii can't be a native outline, the SVG draws them instead
+  const svgLayers = [...plan.layers, ...plan.rings.filter((ring) => !ring.inset && !isUniform)];
+  const shadowSvg = generateShadowSVG(box.widthPx, box.heightPx, box.radii, svgLayers, box.opacity);
+  if (shadowSvg) {
+    below.push({
+      type: 'image',
+      zIndex: box.zIndex,
+      domOrder: box.domOrder,
+      options: {
+        data: shadowSvg.data,
+        x: box.x - shadowSvg.padding * inchX,
+        y: box.y - shadowSvg.padding * inchY,
+        w: box.w + shadowSvg.padding * 2 * inchX,
+        h: box.h + shadowSvg.padding * 2 * inchY,
+        ...xfrm,
+      },
+    });
+  }
+
+  // Inset rings with per-corner radii are drawn as inset layers, inside the box
+  const insetSvg = generateInsetShadowSVG(
+    box.widthPx,
+    box.heightPx,
+    box.radii,
+    [...plan.insetLayers, ...plan.rings.filter((ring) => ring.inset && !isUniform)],
+    box.opacity
+  );
+  if (insetSvg) {
+    above.push({
+      type: 'image',
+      zIndex: box.zIndex,
+      domOrder: box.domOrder,
+      options: { data: insetSvg, x: box.x, y: box.y, w: box.w, h: box.h, ...xfrm },
+    });
+  }
+
+  if (!isUniform) return { below, above };
+
+  // Outlines are centered on their path: grow (or shrink, for inset rings) by half the spread.
+  // Painted bottom-up, so the first ring ends up on top like in CSS.
+  [...plan.rings].reverse().forEach((ring) => {
+    const grow = ring.inset ? -ring.spread / 2 : ring.spread / 2;
+    const widthPx = box.widthPx + grow * 2;
+    const heightPx = box.heightPx + grow * 2;
+    if (widthPx <= 0 || heightPx <= 0) return;
+
+    const radius = box.radii.tl > 0 ? Math.max(box.radii.tl + grow, 0) : 0;
+    const isCircle =
+      Math.abs(widthPx - heightPx) < Math.max(widthPx, heightPx) * 0.1 &&
+      radius >= Math.min(widthPx, heightPx) / 2 - 1;
+    let shapeType = pptx.ShapeType.rect;
+    const options = {
+      x: box.x - grow * inchX,
+      y: box.y - grow * inchY,
+      w: widthPx * inchX,
+      h: heightPx * inchY,
+      ...xfrm,
+      fill: { type: 'none' },
+      line: {
+        color: ring.color,
+        width: ring.spread * 0.75 * box.scale,
+        transparency: (1 - ring.opacity * box.opacity) * 100,
+      },
+    };
+    if (isCircle) shapeType = pptx.ShapeType.ellipse;
+    else if (radius > 0) {
+      shapeType = pptx.ShapeType.roundRect;
+      options.rectRadius = Math.min(0.5, radius / Math.min(widthPx, heightPx));
+    }
+
+    (ring.inset ? above : below).push({
+      type: 'shape',
+      zIndex: box.zIndex,
+      domOrder: box.domOrder,
+      shapeType,
+      options,
+    });
+  });
+
+  return { below, above };
+}
+
+/**
+ * Renders outer box-shadow layers (blur, spread and offset) into an SVG image. The element's
+ * own box is masked out, since CSS never paints an outer shadow under the element.
+ * @param {number} w - Element width in px.
+ * @param {number} h - Element height in px.
+ * @param {{tl: number, tr: number, br: number, bl: number}} radii - Corner radii in px.
+ * @param {Array} layers - Shadow layers from `parseShadowList`, first on top.
+ * @param {number} [opacity=1] - Element opacity.
+ * @returns {{ data: string, padding: number } | null} - Data URL and the px the image extends
+ *   past each side of the element.
+ */
+export function generateShadowSVG(w, h, radii, layers, opacity = 1) {
+  if (layers.length === 0) return null;
+
+  const padding = Math.ceil(
+    Math.max(
+      ...layers.map(
+        (layer) => Math.max(Math.abs(layer.x), Math.abs(layer.y)) + layer.spread + layer.blur * 1.5
+      ),
+      1
+    )
+  );
+  const fullW = w + padding * 2;
+  const fullH = h + padding * 2;
+
+  const filters = [];
+  const shapes = [];
+  [...layers].reverse().forEach((layer, i) => {
+    const shapeW = w + layer.spread * 2;
+    const shapeH = h + layer.spread * 2;
+    if (shapeW <= 0 || shapeH <= 0) return;
+
+    // Spread grows the corner radii along with the box (CSS Backgrounds 3)
+    const grown = {};
+    Object.entries(radii).forEach(([corner, r]) => {
+      grown[corner] = r > 0 ? Math.max(r + layer.spread, 0) : 0;
+    });
+    const tx = padding + layer.x - layer.spread;
+    const ty = padding + layer.y - layer.spread;
+
+    let filter = '';
+    if (layer.blur > 0) {
+      filters.push(
+        `<filter id="shadow-${i}" filterUnits="userSpaceOnUse" x="0" y="0" width="${fullW}" height="${fullH}"><feGaussianBlur stdDeviation="${layer.blur / 2}" /></filter>`
+      );
+      filter = ` filter="url(#shadow-${i})"`;
+    }
+    shapes.push(
+      `<g${filter}><path d="${getRoundedRectPath(shapeW, shapeH, grown)}" transform="translate(${tx} ${ty})" fill="#${layer.color}" fill-opacity="${layer.opacity}" /></g>`
+    );
+  });
+  if (shapes.length === 0) return null;
+
+  const svg = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="${fullW}" height="${fullH}" viewBox="0 0 ${fullW} ${fullH}">
+    <defs>
+      ${filters.join('')}
+      <mask id="box-cutout" maskUnits="userSpaceOnUse" x="0" y="0" width="${fullW}" height="${fullH}">
+        <rect width="${fullW}" height="${fullH}" fill="white" />
+        <path d="${getRoundedRectPath(w, h, radii)}" transform="translate(${padding} ${padding})" fill="black" />
+      </mask>
+    </defs>
+    <g mask="url(#box-cutout)" opacity="${opacity}">${shapes.join('')}</g>
+  </svg>`;
+
+  return {
+    data: 'data:image/svg+xml;base64,' + btoa(svg),
+    padding: padding,
+  };
+}
+
+/**
+ * Renders inset box-shadow layers into an SVG image of the element's size. Each layer paints
+ * outside of the box shrunk by its spread and moved by its offset, clipped to the box, so
+ * inset rings follow per-corner radii too.
+ * @param {number} w - Element width in px.
+ * @param {number} h - Element height in px.
+ * @param {{tl: number, tr: number, br: number, bl: number}} radii - Corner radii in px.
+ * @param {Array} layers - Inset layers from `parseShadowList`, first on top.
+ * @param {number} [opacity=1] - Element opacity.
+ * @returns {string | null} - Data URL.
+ */
+export function generateInsetShadowSVG(w, h, radii, layers, opacity = 1) {
+  if (layers.length === 0) return null;
+
+  const defs = [];
+  const shapes = [];
+  [...layers].reverse().forEach((layer, i) => {
+    const pad = Math.ceil(Math.max(Math.abs(layer.x), Math.abs(layer.y)) + layer.blur * 1.5 + 1);
+    const holeW = w - layer.spread * 2;
+    const holeH = h - layer.spread * 2;
+    // Spread shrinks the corner radii of the hole along with it
+    const shrunk = {};
+    Object.entries(radii).forEach(([corner, r]) => {
+      shrunk[corner] = r > 0 ? Math.max(r - layer.spread, 0) : 0;
+    });
+    const hole =
+      holeW > 0 && holeH > 0
+        ? `<path d="${getRoundedRectPath(holeW, holeH, shrunk)}" transform="translate(${layer.x + layer.spread} ${layer.y + layer.spread})" fill="black" />`
+        : '';
+    defs.push(
+      `<mask id="inset-hole-${i}" maskUnits="userSpaceOnUse" x="${-pad}" y="${-pad}" width="${w + pad * 2}" height="${h + pad * 2}"><rect x="${-pad}" y="${-pad}" width="${w + pad * 2}" height="${h + pad * 2}" fill="white" />${hole}</mask>`
+    );
+
+    let filter = '';
+    if (layer.blur > 0) {
+      defs.push(
+        `<filter id="inset-shadow-${i}" filterUnits="userSpaceOnUse" x="${-pad}" y="${-pad}" width="${w + pad * 2}" height="${h + pad * 2}"><feGaussianBlur stdDeviation="${layer.blur / 2}" /></filter>`
+      );
+      filter = ` filter="url(#inset-shadow-${i})"`;
+    }
+    shapes.push(
+      `<g${filter}><rect x="${-pad}" y="${-pad}" width="${w + pad * 2}" height="${h + pad * 2}" mask="url(#inset-hole-${i})" fill="#${layer.color}" fill-opacity="${layer.opacity}" /></g>`
+    );
+  });
+
+  const svg = `
+  <svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+    <defs>
+      ${defs.join('')}
+      <clipPath id="box-clip"><path d="${getRoundedRectPath(w, h, radii)}" /></clipPath>
+    </defs>
+    <g clip-path="url(#box-clip)" opacity="${opacity}">${shapes.join('')}</g>
+  </svg>`;
+
+  return 'data:image/svg+xml;base64,' + btoa(svg);
+}
@@ -0,0 +1,246 @@
+// src/table-processor.js
+import { parseColor, getPadding, getTextStyle, getTextParts, getTextShadow } from './utils.js';
+
+const PX_TO_INCH = 1 / 96;
+
+/**
+ * Converts an HTML <table> into PptxGenJS `addTable` rows and options.
+ * Column widths and row heights are measured from the rendered table so the native table
+ * occupies the same box as the DOM one.
+ * @param {HTMLTableElement} table - The table element.
+ * @param {CSSStyleDeclaration} style - Computed style of the table.
+ * @param {Object} config - Layout config ({ rootX, rootY, offX, offY, scale, scaleX, scaleY }).
+ * @returns {{ rows: Array, options: Object, box: Object, caption: Object | null,
+ *   ignored: Array } | null} - null when the table has no rows. `box` is the grid area
+ *   ({ x, y, w, h } in inches, `widthPx`, `heightPx`), `caption` the `<caption>` as
+ *   `{ textParts, options }` for a separate text box and `ignored` the `{ node, property,
+ *   value }` styles cells can't carry (text shadows).
+ */
+export function getTableData(table, style, config) {
+  const htmlRows = Array.from(table.rows);
+  if (htmlRows.length === 0) return null;
+
+  // The table's own box includes the <caption>; the grid starts at the first row
+  const tableRect = table.getBoundingClientRect();
+  const firstRowRect = htmlRows[0].getBoundingClientRect();
+  const lastRowRect = htmlRows[htmlRows.length - 1].getBoundingClientRect();
+  const rect = {
+    left: tableRect.left,
+    right: tableRect.right,
+    top: firstRowRect.top,
+    width: tableRect.width,
+    height: Math.max(lastRowRect.bottom - firstRowRect.top, 1),
+  };
+  const grid = buildCellGrid(htmlRows);
+  if (grid.colCount === 0) return null;
+
+  const colEdges = getColumnEdges(grid, rect);
+  const colW = [];
+  for (let c = 0; c < grid.colCount; c++) {
+    colW.push(Math.max(colEdges[c + 1] - colEdges[c], 1) * PX_TO_INCH * config.scaleX);
+  }
+  const rowH = htmlRows.map(
+    (tr) => Math.max(tr.getBoundingClientRect().height, 1) * PX_TO_INCH * config.scaleY
+  );
+
+  const tableBorders = getCellBorders(style, config.scale);
+  const ignored = [];
+  const rows = grid.rows.map((cells) =>
+    cells.map((entry) => {
+      const borders = getCellBorders(window.getComputedStyle(entry.cell), config.scale);
+      // Outer table borders only show where the edge cell has none of its own.
+      if (entry.row === 0 && borders[0].type === 'none') borders[0] = tableBorders[0];
+      if (entry.col + entry.colspan === grid.colCount && borders[1].type === 'none')
+        borders[1] = tableBorders[1];
+      if (entry.row + entry.rowspan === htmlRows.length && borders[2].type === 'none')
+        borders[2] = tableBorders[2];
+      if (entry.col === 0 && borders[3].type === 'none') borders[3] = tableBorders[3];
+
+      return buildCell(entry, borders, config, ignored);
+    })
+  );
+
+  const x = config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scaleX;
+  const y = config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scaleY;
+  const w = rect.width * PX_TO_INCH * config.scaleX;
+  return {
+    rows,
+    options: { x, y, w, colW, rowH, autoPage: false },
+    box: {
+      x,
+      y,
+      w,
+      h: rect.height * PX_TO_INCH * config.scaleY,
+      widthPx: rect.width,
+      heightPx: rect.height,
+    },
+    caption: table.caption ? getCaption(table.caption, config) : null,
+    ignored,
+  };
+}
+
+function getCaption(caption, config) {
+  const style = window.getComputedStyle(caption);
+  if (style.display === 'none') return null;
+  const textParts = getTextParts(caption, style, config);
+  if (textParts.length === 0) return null;
+
+  const rect = caption.getBoundingClientRect();
+  let align = style.textAlign || 'center';
+  if (align === 'start') align = 'left';
+  if (align === 'end') align = 'right';
+  return {
+    textParts,
+    options: {
+      x: config.offX + (rect.left - config.rootX) * PX_TO_INCH * config.scaleX,
+      y: config.offY + (rect.top - config.rootY) * PX_TO_INCH * config.scaleY,
+      w: rect.width * PX_TO_INCH * config.scaleX,
+      h: rect.height * PX_TO_INCH * config.scaleY,
+      align,
+      valign: 'top',
+      inset: getPadding(style, config.scale),
+    },
+  };
+}
+
+/**
+ * Maps every cell onto the logical column grid, resolving colspan/rowspan the same way the
+ * browser does. Cells covered by a rowspan are left out of later rows, which is also what
+ * PptxGenJS expects.
+ */
+function buildCellGrid(htmlRows) {
+  const occupied = [];
+  const rows = [];
+  let colCount = 0;
+
+  htmlRows.forEach((tr, r) => {
+    occupied[r] = occupied[r] || [];
+    const entries = [];
+    let c = 0;
+
+    Array.from(tr.cells).forEach((cell) => {
+      while (occupied[r][c]) c++;
+      const colspan = Math.max(cell.colSpan || 1, 1);
+      // rowspan="0" spans to the end of the section; clamp to the rows we actually have.
+      const rowspan = Math.min(cell.rowSpan || htmlRows.length - r, htmlRows.length - r);
+
+      for (let dr = 0; dr < rowspan; dr++) {
+        occupied[r + dr] = occupied[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) occupied[r + dr][c + dc] = true;
+      }
+
+      entries.push({ cell, row: r, col: c, colspan, rowspan });
+      c += colspan;
+      colCount = Math.max(colCount, c);
+    });
+
+    rows.push(entries);
+  });
+
+  return { rows, colCount };
+}
+
+/**
+ * Returns the x position (px) of every column boundary, measured from the cells that start
+ * (or end) on it. Boundaries no single cell touches are interpolated.
+ */
+function getColumnEdges(grid, tableRect) {
+  const edges = new Array(grid.colCount + 1).fill(null);
+  edges[0] = tableRect.left;
+  edges[grid.colCount] = tableRect.right;
+
+  grid.rows.forEach((entries) =>
+    entries.forEach((entry) => {
+      const cellRect = entry.cell.getBoundingClientRect();
+      if (entry.col > 0 && edges[entry.col] === null) edges[entry.col] = cellRect.left;
+      const end = entry.col + entry.colspan;
+      if (end < grid.colCount && edges[end] === null) edges[end] = cellRect.right;
+    })
+  );
+
+  for (let i = 1; i < edges.length - 1; i++) {
+    if (edges[i] !== null) continue;
+    let next = i + 1;
+    while (edges[next] === null) next++;
+    edges[i] = edges[i - 1] + (edges[next] - edges[i - 1]) / (next - i + 1);
+  }
+
+  return edges;
+}
+
+function buildCell(entry, borders, config, ignored) {
+  const { cell } = entry;
+  const style = window.getComputedStyle(cell);
+  const textParts = getTextParts(cell, style, config);
+
+  let align = style.textAlign || 'left';
+  if (align === 'start') align = 'left';
+  if (align === 'end') align = 'right';
+  if (align.includes('center')) align = 'center';
+
+  let valign = 'middle';
+  if (style.verticalAlign === 'top' || style.verticalAlign === 'baseline') valign = 'top';
+  if (style.verticalAlign === 'bottom') valign = 'bottom';
+
+  const options = {
+    ...getTextStyle(style, config),
+    align,
+    valign,
+    border: borders,
+    margin: getPadding(style, config.scale),
+  };
+
+  // Run shadows are patched into text box runs only; table cells can't show them
+  const hasShadow = !!options.shadow || textParts.some((part) => part.options.shadow);
+  delete options.shadow;
+  textParts.forEach((part) => delete part.options.shadow);
+  if (hasShadow) {
+    const shadowed = [cell, ...cell.querySelectorAll('*')].find((el) =>
+      getTextShadow(window.getComputedStyle(el).textShadow, 1)
+    );
+    if (shadowed) {
+      const value = window.getComputedStyle(shadowed).textShadow;
+      ignored.push({ node: shadowed, property: 'text-shadow', value });
+    }
+  }
+
+  const fill = getCellFill(cell);
+  if (fill) options.fill = fill;
+  if (entry.colspan > 1) options.colspan = entry.colspan;
+  if (entry.rowspan > 1) options.rowspan = entry.rowspan;
+
+  return { text: textParts.length > 0 ? textParts : '', options };
+}
+
+/**
+ * Backgrounds on <tr>, <thead>/<tbody>/<tfoot> and <table> paint behind cells that have
+ * none of their own, so walk up until a visible color is found.
+ */
+function getCellFill(cell) {
+  let el = cell;
+  while (el) {
+    const color = parseColor(window.getComputedStyle(el).backgroundColor);
+    if (color.hex && color.opacity > 0) {
+      return { color: color.hex, transparency: (1 - color.opacity) * 100 };
+    }
+    if (el.tagName === 'TABLE') break;
+    el = el.parentElement;
+  }
+  return null;
+}
+
+function getCellBorders(style, scale) {
+  return ['Top', 'Right', 'Bottom', 'Left'].map((side) => {
+    const width = parseFloat(style[`border${side}Width`]) || 0;
+    const lineStyle = style[`border${side}Style`];
+    const color = parseColor(style[`border${side}Color`]);
+    if (width <= 0 || !color.hex || lineStyle === 'none' || lineStyle === 'hidden') {
+      return { type: 'none' };
+    }
+    return {
+      type: lineStyle === 'dashed' || lineStyle === 'dotted' ? 'dash' : 'solid',
+      pt: width * 0.75 * scale,
+      color: color.hex,
+    };
+  });
+}
@@ -1,4 +1,5 @@
 // src/utils.js
+import { resolveFontFace, resolveFontWeight } from './font-resolver.js';
 
 /**
  * Checks if any parent element has overflow: hidden which would clip this element
@@ -132,7 +133,28 @@ export function generateCompositeBorderSVG(w, h, radius, sides) {
  * Generates an SVG data URL for a solid shape with non-uniform corner radii.
  */
 export function generateCustomShapeSVG(w, h, color, opacity, radii) {
-  let { tl, tr, br, bl } = radii;
+  const path = getRoundedRectPath(w, h, radii);
+
+  const svg = `
+    <svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+      <path d="${path}" fill="#${color}" fill-opacity="${opacity}" />
+    </svg>`;
+
+  return 'data:image/svg+xml;base64,' + btoa(svg);
+}
+
+/**
+ * Builds an SVG path for a rectangle with per-corner radii.
+ * @param {number} w - Width in px.
+ * @param {number} h - Height in px.
+ * @param {number | {tl: number, tr: number, br: number, bl: number}} radii - Corner radii.
+ * @returns {string}
+ */
+export function getRoundedRectPath(w, h, radii) {
+  let { tl, tr, br, bl } =
+    typeof radii === 'number'
+      ? { tl: radii, tr: radii, br: radii, bl: radii }
+      : { tl: 0, tr: 0, br: 0, bl: 0, ...radii };
 
   // Clamp radii using CSS spec logic (avoid overlap)
   const factor = Math.min(
@@ -162,12 +184,7 @@ export function generateCustomShapeSVG(w, h, color, opacity, radii) {
     Z
   `;
 
-  const svg = `
-    <svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
-      <path d="${path}" fill="#${color}" fill-opacity="${opacity}" />
-    </svg>`;
-
-  return 'data:image/svg+xml;base64,' + btoa(svg);
+  return path.replace(/\s+/g, ' ').trim();
 }
 
 export function parseColor(str) {
@@ -212,7 +229,15 @@ export function getSoftEdges(filterStr, scale) {
   return null;
 }
 
-export function getTextStyle(style, scale) {
+/**
+ * Maps the computed text style of an element to PptxGenJS text run options.
+ * @param {CSSStyleDeclaration} style - Computed style of the element owning the text.
+ * @param {Object} config - Layout config ({ scale, fontMap, usedFonts }); fonts and spacing
+ *   are scaled with `scale`.
+ * @param {number} [parentOpacity=1] - Opacity of the text container, for runs of its children.
+ */
+export function getTextStyle(style, config, parentOpacity = 1) {
+  const scale = config.scale;
   let colorObj = parseColor(style.color);
 
   const bgClip = style.webkitBackgroundClip || style.backgroundClip;
@@ -221,14 +246,316 @@ export function getTextStyle(style, scale) {
     if (fallback) colorObj = parseColor(fallback);
   }
 
-  return {
+  const fontSizePx = parseFloat(style.fontSize);
+  const decoration = style.textDecorationLine || style.textDecoration || '';
+  const elementOpacity = parseFloat(style.opacity);
+  const opacity = colorObj.opacity * (isNaN(elementOpacity) ? 1 : elementOpacity) * parentOpacity;
+
+  const { fontFace, bold } = resolveFontWeight(
+    resolveFontFace(style.fontFamily, config.fontMap, config.usedFonts),
+    style.fontWeight,
+    config.fontMap,
+    config.usedFonts
+  );
+  const textStyle = {
     color: colorObj.hex || '000000',
-    fontFace: style.fontFamily.split(',')[0].replace(/['"]/g, ''),
-    fontSize: parseFloat(style.fontSize) * 0.75 * scale,
-    bold: parseInt(style.fontWeight) >= 600,
+    fontFace,
+    fontSize: fontSizePx * 0.75 * scale,
+    bold,
     italic: style.fontStyle === 'italic',
-    underline: style.textDecoration.includes('underline'),
+    underline: decoration.includes('underline'),
   };
+
+  if (decoration.includes('line-through')) textStyle.strike = 'sngStrike';
+  if (style.verticalAlign === 'super') textStyle.superscript = true;
+  if (style.verticalAlign === 'sub') textStyle.subscript = true;
+  if (opacity < 1) textStyle.transparency = Math.round((1 - opacity) * 100);
+
+  // line-height is 'normal' or a resolved px value
+  const lineHeight = parseFloat(style.lineHeight);
+  if (!isNaN(lineHeight) && lineHeight > 0) textStyle.lineSpacing = lineHeight * 0.75 * scale;
+
+  const letterSpacing = parseFloat(style.letterSpacing);
+  if (!isNaN(letterSpacing) && letterSpacing !== 0) {
+    textStyle.charSpacing = letterSpacing * 0.75 * scale;
+  }
+
+  const glow = getTextGlow(style.textShadow, scale);
+  if (glow) textStyle.glow = glow;
+  // Not a PptxGenJS run option: patched into the run properties after writing
+  const shadow = getTextShadow(style.textShadow, scale);
+  if (shadow) textStyle.shadow = shadow;
+
+  return textStyle;
+}
+
+/**
+ * The first offset `text-shadow`. It is written as a run shadow when the deck is
+ * post-processed, otherwise as the shadow of a text box without fill or line, which
+ * PowerPoint also draws around the glyphs.
+ */
+export function getTextShadow(textShadow, scale) {
+  const layer = parseShadowList(textShadow).find((shadow) => shadow.x !== 0 || shadow.y !== 0);
+  return layer ? toPptxShadow(layer, scale) : null;
+}
+
+/**
+ * A centered `text-shadow` (no offset) reads as a glow, which PowerPoint applies per run.
+ */
+export function getTextGlow(textShadow, scale) {
+  const layer = parseShadowList(textShadow).find(
+    (shadow) => shadow.x === 0 && shadow.y === 0 && shadow.blur > 0
+  );
+  if (!layer) return null;
+  return { size: (layer.blur * 0.75 * scale) / 2, opacity: layer.opacity, color: layer.color };
+}
+
+/**
+ * Background of an inline element (e.g. `<mark>`) becomes the run highlight.
+ */
+export function getTextHighlight(style) {
+  const bg = parseColor(style.backgroundColor);
+  return bg.hex && bg.opacity > 0 ? { highlight: bg.hex } : {};
+}
+
+/**
+ * Builds the PptxGenJS hyperlink for an anchor. `#id` links that point into one of the
+ * exported slide roots become slide jumps, other fragment links are dropped. `slide` holds the
+ * 1-based root position until the export maps it to the final slide number.
+ * @param {HTMLAnchorElement | null} anchor - The anchor element.
+ * @param {HTMLElement[]} roots - Slide roots in slide order.
+ * @returns {{ url?: string, slide?: number, tooltip?: string } | null}
+ */
+export function getHyperlink(anchor, roots = []) {
+  if (!anchor) return null;
+  const href = (anchor.getAttribute('href') || '').trim();
+  if (!href || /^javascript:/i.test(href)) return null;
+
+  const link = {};
+  if (anchor.title) link.tooltip = anchor.title;
+
+  if (href.startsWith('#')) {
+    let id = href.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch {
+      // Keep the raw fragment
+    }
+    const target = id ? document.getElementById(id) : null;
+    const slideIndex = target ? roots.findIndex((r) => r === target || r.contains(target)) : -1;
+    if (slideIndex === -1) return null;
+    link.slide = slideIndex + 1;
+    return link;
+  }
+
+  link.url = anchor.href || href;
+  return link;
+}
+
+/**
+ * Returns `{ hyperlink }` for text runs inside an anchor, or an empty object, so it can be
+ * spread into run options.
+ */
+export function getRunHyperlink(el, roots) {
+  const hyperlink = el ? getHyperlink(el.closest('a[href]'), roots) : null;
+  return hyperlink ? { hyperlink } : {};
+}
+
+// Run options that cascade to nested inline elements even though the CSS properties behind
+// them (text-decoration, vertical-align, background) are not inherited.
+const PROPAGATED_RUN_OPTIONS = ['underline', 'strike', 'superscript', 'subscript', 'highlight'];
+
+/**
+ * Builds PptxGenJS text runs from the child nodes of a text container.
+ * Whitespace follows `white-space` (collapsed for normal/nowrap, kept for pre/pre-wrap,
+ * newlines only for pre-line). `<br>`, preserved newlines and block-level children end the
+ * paragraph (`breakLine`); block margins become paragraph spacing.
+ * @param {HTMLElement} node - The text container.
+ * @param {CSSStyleDeclaration} style - Computed style of the container.
+ * @param {Object} config - Layout config ({ scale, roots }).
+ * @param {Node[]} [childNodes] - Subset of the children to use (e.g. an `<li>` without its
+ *   nested lists). Defaults to all child nodes.
+ */
+export function getTextParts(node, style, config, childNodes = Array.from(node.childNodes)) {
+  const opacity = parseFloat(style.opacity);
+  const context = {
+    style,
+    opacity: isNaN(opacity) ? 1 : opacity,
+    options: { ...getTextStyle(style, config), ...getRunHyperlink(node, config.roots) },
+  };
+
+  const tokens = [];
+  collectTextTokens(childNodes, context, config, tokens);
+  return buildParagraphRuns(tokens);
+}
+
+function collectTextTokens(childNodes, context, config, tokens) {
+  childNodes.forEach((child) => {
+    if (child.nodeType === 3) {
+      const lines = formatTextNode(child.nodeValue, context.style);
+      lines.forEach((text, i) => {
+        if (i > 0) tokens.push({ type: 'break', options: context.options });
+        if (text)
+          tokens.push({
+            type: 'text',
+            text,
+            options: context.options,
+            preserve: isPreserved(context.style),
+          });
+      });
+      return;
+    }
+    if (child.nodeType !== 1) return;
+    if (child.tagName === 'BR') {
+      tokens.push({ type: 'break', options: context.options });
+      return;
+    }
+
+    const childStyle = window.getComputedStyle(child);
+    if (childStyle.display === 'none') return;
+
+    const options = {
+      ...getTextStyle(childStyle, config, context.opacity),
+      ...getTextHighlight(childStyle),
+      ...getRunHyperlink(child, config.roots),
+    };
+    PROPAGATED_RUN_OPTIONS.forEach((key) => {
+      if (context.options[key] && !options[key]) options[key] = context.options[key];
+    });
+
+    const elementOpacity = parseFloat(childStyle.opacity);
+    const childContext = {
+      style: childStyle,
+      opacity: context.opacity * (isNaN(elementOpacity) ? 1 : elementOpacity),
+      options,
+    };
+
+    const isBlock = !childStyle.display.includes('inline');
+    if (isBlock) {
+      tokens.push({
+        type: 'block',
+        spaceBefore: (parseFloat(childStyle.marginTop) || 0) * 0.75 * config.scale,
+      });
+    }
+    collectTextTokens(Array.from(child.childNodes), childContext, config, tokens);
+    if (isBlock) {
+      tokens.push({
+        type: 'block',
+        spaceAfter: (parseFloat(childStyle.marginBottom) || 0) * 0.75 * config.scale,
+      });
+    }
+  });
+}
+
+function isPreserved(style) {
+  return ['pre', 'pre-wrap', 'break-spaces'].includes(style.whiteSpace);
+}
+
+/**
+ * Applies `white-space` and `text-transform` to a text node. Returns one entry per line
+ * (only preserved newlines split lines).
+ */
+function formatTextNode(value, style) {
+  const whiteSpace = style.whiteSpace;
+  let lines;
+  if (isPreserved(style)) {
+    lines = value.replace(/\r\n?/g, '\n').split('\n');
+  } else if (whiteSpace === 'pre-line') {
+    lines = value
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map((line) => line.replace(/[ \t\f]+/g, ' '));
+  } else {
+    lines = [value.replace(/[ \t\n\r\f]+/g, ' ')];
+  }
+
+  return lines.map((line) => {
+    if (style.textTransform === 'uppercase') return line.toUpperCase();
+    if (style.textTransform === 'lowercase') return line.toLowerCase();
+    if (style.textTransform === 'capitalize')
+      return line.replace(/(^|\s)(\S)/g, (m, sp, c) => sp + c.toUpperCase());
+    return line;
+  });
+}
+
+/**
+ * Groups tokens into paragraphs, trims collapsible whitespace at paragraph edges and between
+ * runs, and flags the last run of every paragraph but the final one with `breakLine`.
+ */
+function buildParagraphRuns(tokens) {
+  const paragraphs = [];
+  let current = { runs: [], spaceBefore: 0, spaceAfter: 0 };
+
+  const endParagraph = (isHardBreak, options) => {
+    // Consecutive block edges don't produce empty paragraphs, a <br> always ends a line
+    if (current.runs.length === 0 && !isHardBreak) return;
+    current.breakOptions = options;
+    current.isHardBreak = isHardBreak;
+    paragraphs.push(current);
+    current = { runs: [], spaceBefore: 0, spaceAfter: 0 };
+  };
+
+  tokens.forEach((token) => {
+    if (token.type === 'text') {
+      current.runs.push({ text: token.text, options: token.options, preserve: token.preserve });
+    } else if (token.type === 'break') {
+      endParagraph(true, token.options);
+    } else if (token.spaceBefore !== undefined) {
+      // Source whitespace between blocks is dropped by the browser
+      if (current.runs.every((run) => !run.preserve && !run.text.trim())) current.runs = [];
+      endParagraph(false);
+      // Adjacent vertical margins collapse in CSS but add up in PowerPoint
+      const previous = paragraphs[paragraphs.length - 1];
+      const collapsed = token.spaceBefore - (previous ? previous.spaceAfter : 0);
+      current.spaceBefore = Math.max(current.spaceBefore, collapsed, 0);
+    } else {
+      current.spaceAfter = Math.max(current.spaceAfter, token.spaceAfter);
+      endParagraph(false);
+    }
+  });
+  if (current.runs.length > 0) paragraphs.push(current);
+
+  paragraphs.forEach(trimCollapsibleSpaces);
+  // Whitespace between blocks is not a line, an explicit break is (e.g. <br><br>)
+  const lines = paragraphs.filter((p) => p.isHardBreak || p.runs.some((run) => run.text));
+
+  const textParts = [];
+  lines.forEach((paragraph, index) => {
+    const runs = paragraph.runs.filter((run) => run.text.length > 0);
+    // An empty run keeps the height of a blank line
+    if (runs.length === 0) runs.push({ text: '', options: paragraph.breakOptions });
+
+    const spacing = {};
+    if (paragraph.spaceBefore > 0) spacing.paraSpaceBefore = paragraph.spaceBefore;
+    if (paragraph.spaceAfter > 0) spacing.paraSpaceAfter = paragraph.spaceAfter;
+
+    runs.forEach((run, i) => {
+      const options = { ...run.options, ...spacing };
+      if (i === runs.length - 1 && index < lines.length - 1) options.breakLine = true;
+      textParts.push({ text: run.text, options });
+    });
+  });
+
+  return textParts;
+}
+
+function trimCollapsibleSpaces(paragraph) {
+  const { runs } = paragraph;
+  let previousEndsWithSpace = true; // Paragraph start behaves like a preceding space
+  runs.forEach((run) => {
+    if (run.preserve) {
+      previousEndsWithSpace = false;
+      return;
+    }
+    if (previousEndsWithSpace) run.text = run.text.replace(/^ /, '');
+    if (run.text.length > 0) previousEndsWithSpace = run.text.endsWith(' ');
+  });
+
+  for (let i = runs.length - 1; i >= 0; i--) {
+    if (runs[i].preserve) break;
+    runs[i].text = runs[i].text.replace(/ $/, '');
+    if (runs[i].text.length > 0) break;
+  }
 }
 
 /**
@@ -241,99 +568,276 @@ export function isTextContainer(node) {
   const children = Array.from(node.children);
   if (children.length === 0) return true;
 
-  // Check if children are purely inline text formatting or visual shapes
-  const isSafeInline = (el) => {
-    // 1. Reject Web Components / Icons / Images
-    if (el.tagName.includes('-')) return false;
-    if (el.tagName === 'IMG' || el.tagName === 'SVG') return false;
+  return children.every(isInlineTextElement);
+}
 
-    const style = window.getComputedStyle(el);
-    const display = style.display;
+/**
+ * Checks if a child element is purely inline text formatting (so it can become a text run)
+ * rather than an icon, image or visual shape.
+ */
+export function isInlineTextElement(el) {
+  // 1. Reject Web Components / Icons / Images
+  if (el.tagName.includes('-')) return false;
+  if (el.tagName === 'IMG' || el.tagName === 'SVG') return false;
+  if (el.tagName === 'BR') return true;
 
-    // 2. Initial check: Must be a standard inline tag OR display:inline
-    const isInlineTag = ['SPAN', 'B', 'STRONG', 'EM', 'I', 'A', 'SMALL', 'MARK'].includes(el.tagName);
-    const isInlineDisplay = display.includes('inline');
+  const style = window.getComputedStyle(el);
+  const display = style.display;
 
-    if (!isInlineTag && !isInlineDisplay) return false;
+  // 2. Initial check: Must be a standard inline tag OR display:inline
+  const isInlineTag = ['SPAN', 'B', 'STRONG', 'EM', 'I', 'A', 'SMALL', 'MARK'].includes(el.tagName);
+  const isInlineDisplay = display.includes('inline');
 
-    // 3. CRITICAL FIX: Check for Structural Styling
-    // PPTX Text Runs (parts of a text line) CANNOT have backgrounds, borders, or padding.
-    // If a child element has these, the parent is NOT a simple text container; 
-    // it is a layout container composed of styled blocks.
-    const bgColor = parseColor(style.backgroundColor);
-    const hasVisibleBg = bgColor.hex && bgColor.opacity > 0;
-    const hasBorder = parseFloat(style.borderWidth) > 0 && parseColor(style.borderColor).opacity > 0;
+  if (!isInlineTag && !isInlineDisplay) return false;
 
-    if (hasVisibleBg || hasBorder) {
-      return false;
-    }
+  // 3. CRITICAL FIX: Check for Structural Styling
+  // PPTX Text Runs (parts of a text line) CANNOT have backgrounds, borders, or padding.
+  // If a child element has these, the parent is NOT a simple text container;
+  // it is a layout container composed of styled blocks.
+  const bgColor = parseColor(style.backgroundColor);
+  const hasVisibleBg = bgColor.hex && bgColor.opacity > 0;
+  const hasBorder = parseFloat(style.borderWidth) > 0 && parseColor(style.borderColor).opacity > 0;
+
+  // A flat background without padding or rounding (e.g. <mark>) is a run highlight
+  const isHighlight =
+    hasVisibleBg &&
+    !(parseFloat(style.borderRadius) > 0) &&
+    ['Top', 'Right', 'Bottom', 'Left'].every((side) => !(parseFloat(style[`padding${side}`]) > 0));
 
-    // 4. Check for empty shapes (visual objects without text, like dots)
-    const hasContent = el.textContent.trim().length > 0;
-    if (!hasContent && (hasVisibleBg || hasBorder)) {
-      return false;
+  if ((hasVisibleBg && !isHighlight) || hasBorder) {
+    return false;
+  }
+
+  // 4. Check for empty shapes (visual objects without text, like dots)
+  const hasContent = el.textContent.trim().length > 0;
+  if (!hasContent && (hasVisibleBg || hasBorder)) {
+    return false;
+  }
+
+  return true;
+}
+
+const IDENTITY_MATRIX = { a: 1, b: 0, c: 0, d: 1 };
+
+/**
+ * Linear part of an element's computed transform, including the individual `rotate` and
+ * `scale` properties (which are not part of `transform`). Translations are ignored: the
+ * layout rect already reflects them.
+ * @returns {{ a: number, b: number, c: number, d: number }}
+ */
+export function getElementMatrix(style) {
+  let matrix = IDENTITY_MATRIX;
+
+  const rotate = style.rotate && style.rotate !== 'none' ? style.rotate.trim().split(/\s+/) : [];
+  // Only 2D rotations ("45deg" or "z 45deg"/"0 0 1 45deg") map to a slide
+  const isZAxis = rotate.length === 1 || rotate[0] === 'z' || rotate.slice(0, 3).join() === '0,0,1';
+  if (rotate.length > 0 && isZAxis) {
+    const angle = parseAngle(rotate[rotate.length - 1]);
+    matrix = { a: Math.cos(angle), b: Math.sin(angle), c: -Math.sin(angle), d: Math.cos(angle) };
+  }
+
+  if (style.scale && style.scale !== 'none') {
+    const [sx, sy = sx] = style.scale.trim().split(/\s+/).map(parseScale);
+    matrix = multiplyMatrix(matrix, { a: sx, b: 0, c: 0, d: sy });
+  }
+
+  const transform = style.transform;
+  if (transform && transform !== 'none') {
+    const values = transform
+      .slice(transform.indexOf('(') + 1, -1)
+      .split(',')
+      .map(parseFloat);
+    if (transform.startsWith('matrix3d(') && values.length === 16) {
+      matrix = multiplyMatrix(matrix, { a: values[0], b: values[1], c: values[4], d: values[5] });
+    } else if (values.length === 6) {
+      matrix = multiplyMatrix(matrix, { a: values[0], b: values[1], c: values[2], d: values[3] });
     }
+  }
 
-    return true;
+  return matrix;
+}
+
+function parseAngle(value) {
+  const amount = parseFloat(value) || 0;
+  if (value.endsWith('grad')) return (amount * Math.PI) / 200;
+  if (value.endsWith('rad')) return amount;
+  if (value.endsWith('turn')) return amount * 2 * Math.PI;
+  return (amount * Math.PI) / 180;
+}
+
+function parseScale(value) {
+  return value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+}
+
+/**
+ * Composes two 2x2 matrices (`outer` applied after `inner`).
+ */
+export function multiplyMatrix(outer, inner) {
+  return {
+    a: outer.a * inner.a + outer.c * inner.b,
+    b: outer.b * inner.a + outer.d * inner.b,
+    c: outer.a * inner.c + outer.c * inner.d,
+    d: outer.b * inner.c + outer.d * inner.d,
   };
+}
 
-  return children.every(isSafeInline);
+/**
+ * Accumulated transform of everything above `node` (used for the export root, whose
+ * ancestors aren't traversed, e.g. a presentation framework scaling the slide to fit).
+ */
+export function getAncestorMatrix(node) {
+  const chain = [];
+  for (let el = node && node.parentElement; el; el = el.parentElement) chain.unshift(el);
+  return chain.reduce(
+    (matrix, el) => multiplyMatrix(matrix, getElementMatrix(window.getComputedStyle(el))),
+    IDENTITY_MATRIX
+  );
 }
 
-export function getRotation(transformStr) {
-  if (!transformStr || transformStr === 'none') return 0;
-  const values = transformStr.split('(')[1].split(')')[0].split(',');
-  if (values.length < 4) return 0;
-  const a = parseFloat(values[0]);
-  const b = parseFloat(values[1]);
-  return Math.round(Math.atan2(b, a) * (180 / Math.PI));
+/**
+ * Decomposes an accumulated 2x2 matrix into what a slide object can express: a rotation,
+ * flips and a scale of the unrotated box. `skewed` is set when the axes are no longer
+ * perpendicular, which PowerPoint can't reproduce.
+ * @returns {{ rotation: number, flipH: boolean, flipV: boolean, scaleX: number, scaleY: number, skewed: boolean }}
+ */
+export function decomposeMatrix({ a, b, c, d }) {
+  const det = a * d - b * c;
+  const scaleX = Math.hypot(a, b);
+  if (scaleX < 1e-6 || Math.abs(det) < 1e-9) {
+    return { rotation: 0, flipH: false, flipV: false, scaleX: 0, scaleY: 0, skewed: false };
+  }
+
+  // A negative determinant means a mirror: flip horizontally, then rotate
+  let flipH = det < 0;
+  let flipV = false;
+  let rotation = (Math.atan2(flipH ? -b : b, flipH ? -a : a) * 180) / Math.PI;
+  // A horizontal flip rotated by ~180deg reads better as a vertical flip (e.g. scaleY(-1))
+  if (flipH && Math.abs(Math.abs(rotation) - 180) < 45) {
+    flipH = false;
+    flipV = true;
+    rotation += 180;
+  }
+
+  const skew = Math.abs(a * c + b * d) / (scaleX * Math.hypot(c, d));
+  return {
+    rotation: ((Math.round(rotation) % 360) + 360) % 360,
+    flipH,
+    flipV,
+    scaleX,
+    scaleY: Math.abs(det) / scaleX,
+    skewed: skew > 0.01,
+  };
 }
 
-export function svgToPng(node) {
-  return new Promise((resolve) => {
-    const clone = node.cloneNode(true);
-    const rect = node.getBoundingClientRect();
-    const width = rect.width || 300;
-    const height = rect.height || 150;
-
-    function inlineStyles(source, target) {
-      const computed = window.getComputedStyle(source);
-      const properties = [
-        'fill',
-        'stroke',
-        'stroke-width',
-        'stroke-linecap',
-        'stroke-linejoin',
-        'opacity',
-        'font-family',
-        'font-size',
-        'font-weight',
-      ];
-
-      if (computed.fill === 'none') target.setAttribute('fill', 'none');
-      else if (computed.fill) target.style.fill = computed.fill;
-
-      if (computed.stroke === 'none') target.setAttribute('stroke', 'none');
-      else if (computed.stroke) target.style.stroke = computed.stroke;
-
-      properties.forEach((prop) => {
-        if (prop !== 'fill' && prop !== 'stroke') {
-          const val = computed[prop];
-          if (val && val !== 'auto') target.style[prop] = val;
-        }
-      });
+const SVG_STYLE_PROPERTIES = [
+  'fill-opacity',
+  'fill-rule',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stroke-dasharray',
+  'stroke-dashoffset',
+  'stroke-miterlimit',
+  'stop-color',
+  'stop-opacity',
+  'opacity',
+  'visibility',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+  'letter-spacing',
+  'text-anchor',
+  'dominant-baseline',
+];
+
+/**
+ * Serializes an inline <svg> into a standalone SVG document. Computed styles (CSS classes,
+ * `currentColor`, inherited fills) are inlined on every element so the file renders the same
+ * outside the page, and `<use>` references to sprites elsewhere in the document are copied in.
+ * @param {SVGSVGElement} node - The SVG element.
+ * @returns {{ xml: string, width: number, height: number }}
+ */
+export function serializeSvg(node) {
+  const clone = node.cloneNode(true);
+  const rect = node.getBoundingClientRect();
+  const width = rect.width || 300;
+  const height = rect.height || 150;
+
+  function inlineStyles(source, target) {
+    const computed = window.getComputedStyle(source);
 
-      for (let i = 0; i < source.children.length; i++) {
-        if (target.children[i]) inlineStyles(source.children[i], target.children[i]);
-      }
+    if (computed.fill === 'none') target.setAttribute('fill', 'none');
+    else if (computed.fill) target.style.fill = computed.fill;
+
+    if (computed.stroke === 'none') target.setAttribute('stroke', 'none');
+    else if (computed.stroke) target.style.stroke = computed.stroke;
+
+    if (computed.display === 'none') target.setAttribute('display', 'none');
+
+    SVG_STYLE_PROPERTIES.forEach((prop) => {
+      const val = computed.getPropertyValue(prop);
+      if (val && val !== 'auto' && val !== 'normal') target.style.setProperty(prop, val);
+    });
+
+    for (let i = 0; i < source.children.length; i++) {
+      if (target.children[i]) inlineStyles(source.children[i], target.children[i]);
+    }
+  }
+
+  inlineStyles(node, clone);
+
+  // Sprite sheets: <use href="#icon"> pointing outside this <svg>
+  let defs = null;
+  clone.querySelectorAll('use').forEach((use) => {
+    const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+    if (!href.startsWith('#')) return;
+    const id = href.slice(1);
+    if (clone.querySelector(`[id="${id.replace(/"/g, '\\"')}"]`)) return;
+    const target = document.getElementById(id);
+    if (!target) return;
+    if (!defs) {
+      defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+      clone.insertBefore(defs, clone.firstChild);
     }
+    defs.appendChild(target.cloneNode(true));
+  });
+
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  // Position/transform are handled by the slide item itself
+  clone.style.removeProperty('transform');
+  clone.style.removeProperty('position');
 
-    inlineStyles(node, clone);
-    clone.setAttribute('width', width);
-    clone.setAttribute('height', height);
-    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return { xml: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+/**
+ * Converts an inline <svg> into a base64 SVG data URL (see `serializeSvg`).
+ * PptxGenJS embeds it as a vector image with a PNG fallback for older PowerPoint versions.
+ * @returns {string | null}
+ */
+export function svgToDataURL(node) {
+  try {
+    const { xml } = serializeSvg(node);
+    // Unicode-safe base64 (text nodes may contain non-Latin1 characters)
+    const bytes = new TextEncoder().encode(xml);
+    let binary = '';
+    bytes.forEach((b) => (binary += String.fromCharCode(b)));
+    return 'data:image/svg+xml;base64,' + btoa(binary);
+  } catch (e) {
+    console.warn('SVG serialization failed for node', node, e);
+    return null;
+  }
+}
 
-    const xml = new XMLSerializer().serializeToString(clone);
+export function svgToPng(node) {
+  return new Promise((resolve) => {
+    const { xml, width, height } = serializeSvg(node);
     const svgUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(xml)}`;
     const img = new Image();
     img.crossOrigin = 'Anonymous';
@@ -352,104 +856,54 @@ export function svgToPng(node) {
   });
 }
 
-export function getVisibleShadow(shadowStr, scale) {
-  if (!shadowStr || shadowStr === 'none') return null;
-  const shadows = shadowStr.split(/,(?![^()]*\))/);
-  for (let s of shadows) {
-    s = s.trim();
-    if (s.startsWith('rgba(0, 0, 0, 0)')) continue;
-    const match = s.match(
-      /(rgba?\([^)]+\)|#[0-9a-fA-F]+)\s+(-?[\d.]+)px\s+(-?[\d.]+)px\s+([\d.]+)px/
-    );
-    if (match) {
-      const colorStr = match[1];
-      const x = parseFloat(match[2]);
-      const y = parseFloat(match[3]);
-      const blur = parseFloat(match[4]);
-      const distance = Math.sqrt(x * x + y * y);
-      let angle = Math.atan2(y, x) * (180 / Math.PI);
-      if (angle < 0) angle += 360;
-      const colorObj = parseColor(colorStr);
+/**
+ * Parses a computed `box-shadow`/`text-shadow` list into its visible layers, in paint order
+ * (first layer on top). Lengths stay in CSS px.
+ * @returns {Array<{ x: number, y: number, blur: number, spread: number, inset: boolean,
+ *   color: string, opacity: number }>}
+ */
+export function parseShadowList(shadowStr) {
+  if (!shadowStr || shadowStr === 'none') return [];
+  return shadowStr
+    .split(/,(?![^()]*\))/)
+    .map((part) => {
+      const colorMatch = part.match(/rgba?\([^)]+\)|#[0-9a-fA-F]+/);
+      const lengths = part
+        .replace(/rgba?\([^)]+\)|#[0-9a-fA-F]+|\binset\b/g, '')
+        .trim()
+        .split(/\s+/)
+        .map(parseFloat);
+      if (!colorMatch || lengths.length < 2 || lengths.some(isNaN)) return null;
+      const [x, y, blur = 0, spread = 0] = lengths;
+      const colorObj = parseColor(colorMatch[0]);
       return {
-        type: 'outer',
-        angle: angle,
-        blur: blur * 0.75 * scale,
-        offset: distance * 0.75 * scale,
+        x,
+        y,
+        blur,
+        spread,
+        inset: /\binset\b/.test(part),
         color: colorObj.hex || '000000',
         opacity: colorObj.opacity,
       };
-    }
-  }
-  return null;
+    })
+    .filter((layer) => layer && layer.opacity > 0);
 }
 
-export function generateGradientSVG(w, h, bgString, radius, border) {
-  try {
-    const match = bgString.match(/linear-gradient\((.*)\)/);
-    if (!match) return null;
-    const content = match[1];
-    const parts = content.split(/,(?![^()]*\))/).map((p) => p.trim());
-
-    let x1 = '0%',
-      y1 = '0%',
-      x2 = '0%',
-      y2 = '100%';
-    let stopsStartIdx = 0;
-    if (parts[0].includes('to right')) {
-      x1 = '0%';
-      x2 = '100%';
-      y2 = '0%';
-      stopsStartIdx = 1;
-    } else if (parts[0].includes('to left')) {
-      x1 = '100%';
-      x2 = '0%';
-      y2 = '0%';
-      stopsStartIdx = 1;
-    } else if (parts[0].includes('to top')) {
-      y1 = '100%';
-      y2 = '0%';
-      stopsStartIdx = 1;
-    } else if (parts[0].includes('to bottom')) {
-      y1 = '0%';
-      y2 = '100%';
-      stopsStartIdx = 1;
-    }
-
-    let stopsXML = '';
-    const stopParts = parts.slice(stopsStartIdx);
-    stopParts.forEach((part, idx) => {
-      let color = part;
-      let offset = Math.round((idx / (stopParts.length - 1)) * 100) + '%';
-      const posMatch = part.match(/(.*?)\s+(\d+(\.\d+)?%?)$/);
-      if (posMatch) {
-        color = posMatch[1];
-        offset = posMatch[2];
-      }
-      let opacity = 1;
-      if (color.includes('rgba')) {
-        const rgba = color.match(/[\d.]+/g);
-        if (rgba && rgba.length > 3) {
-          opacity = rgba[3];
-          color = `rgb(${rgba[0]},${rgba[1]},${rgba[2]})`;
-        }
-      }
-      stopsXML += `<stop offset="${offset}" stop-color="${color}" stop-opacity="${opacity}"/>`;
-    });
-
-    let strokeAttr = '';
-    if (border) {
-      strokeAttr = `stroke="#${border.color}" stroke-width="${border.width}"`;
-    }
-
-    const svg = `
-          <svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
-              <defs><linearGradient id="grad" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stopsXML}</linearGradient></defs>
-              <rect x="0" y="0" width="${w}" height="${h}" rx="${radius}" ry="${radius}" fill="url(#grad)" ${strokeAttr} />
-          </svg>`;
-    return 'data:image/svg+xml;base64,' + btoa(svg);
-  } catch {
-    return null;
-  }
+/**
+ * Converts a shadow layer to PptxGenJS shadow options.
+ * @param {'outer' | 'inner'} [type='outer']
+ */
+export function toPptxShadow(layer, scale, type = 'outer') {
+  let angle = Math.atan2(layer.y, layer.x) * (180 / Math.PI);
+  if (angle < 0) angle += 360;
+  return {
+    type,
+    angle: angle,
+    blur: layer.blur * 0.75 * scale,
+    offset: Math.sqrt(layer.x * layer.x + layer.y * layer.y) * 0.75 * scale,
+    color: layer.color,
+    opacity: layer.opacity,
+  };
 }
 
 export function generateBlurredSVG(w, h, color, radius, blurPx) {
@@ -485,4 +939,121 @@ export function generateBlurredSVG(w, h, color, radius, blurPx) {
     data: 'data:image/svg+xml;base64,' + btoa(svg),
     padding: padding,
   };
-}
\ No newline at end of file
+}
+/**
+ * Resolves the speaker notes for a slide root.
+ * @param {HTMLElement} root - The slide root element.
+ * @param {number} index - Zero-based slide index.
+ * @param {string | Function | false} [source='aside.notes'] - Selector, callback or false.
+ * @returns {{ text: string, elements: HTMLElement[] }} - Notes text, and the notes elements
+ *   (matched by the selector, or `aside.notes` when the notes come from a callback), which
+ *   must be left out of the visual traversal even when the text comes from elsewhere.
+ */
+export function getSlideNotes(root, index, source = 'aside.notes') {
+  if (source === false) return { text: '', elements: [] };
+
+  const selector = typeof source === 'string' ? source : 'aside.notes';
+  const elements = Array.from(root.querySelectorAll(selector));
+
+  const attr = root.getAttribute('data-pptx-notes');
+  if (attr) return { text: attr.trim(), elements };
+
+  if (typeof source === 'function') {
+    const text = source(root, index);
+    return { text: typeof text === 'string' ? text.trim() : '', elements };
+  }
+
+  if (typeof source !== 'string' || elements.length === 0) return { text: '', elements };
+
+  // innerText keeps the line breaks of rendered notes; hidden ones (Reveal.js) fall back to
+  // textContent, so trim the source indentation off each line.
+  const text = elements
+    .map((el) =>
+      (el.innerText || el.textContent)
+        .split('\n')
+        .map((line) => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+    )
+    .filter(Boolean)
+    .join('\n\n');
+
+  return { text, elements };
+}
+
+/**
+ * Slide size presets in inches. Entries with a `name` map to PptxGenJS built-in layouts,
+ * the rest are registered through `pptx.defineLayout`.
+ */
+const SLIDE_LAYOUTS = {
+  '16x9': { name: 'LAYOUT_16x9', width: 10, height: 5.625 },
+  '16x10': { name: 'LAYOUT_16x10', width: 10, height: 6.25 },
+  '4x3': { name: 'LAYOUT_4x3', width: 10, height: 7.5 },
+  wide: { name: 'LAYOUT_WIDE', width: 13.333, height: 7.5 },
+  a4: { width: 11.69, height: 8.27 },
+  'a4-portrait': { width: 8.27, height: 11.69 },
+  letter: { width: 11, height: 8.5 },
+  'letter-portrait': { width: 8.5, height: 11 },
+};
+
+/**
+ * Resolves the `layout` option into slide dimensions.
+ * @param {string | {width: number, height: number}} layout - Preset key, 'auto' or size in inches.
+ * @param {DOMRect} [rootRect] - Bounding box of the first slide root, used by 'auto'.
+ * @returns {{name: string, width: number, height: number, builtin: boolean}} - `builtin`
+ *   for PptxGenJS's own layouts, the others must be registered with `defineLayout`.
+ * @throws {Error} For unknown preset keys and sizes that aren't positive numbers.
+ */
+export function resolveSlideLayout(layout, rootRect) {
+  if (layout && typeof layout === 'object') {
+    const width = parseFloat(layout.width);
+    const height = parseFloat(layout.height);
+    if (!(width > 0 && height > 0)) {
+      throw new Error(`Invalid layout size ${layout.width}x${layout.height}, expected inches.`);
+    }
+    return { name: layout.name || 'DOM_TO_PPTX_CUSTOM', width, height, builtin: false };
+  }
+
+  if (layout === 'auto' && rootRect && rootRect.width > 0 && rootRect.height > 0) {
+    // Keep the long edge at 10in (the PowerPoint default) and derive the other one.
+    const ratio = rootRect.width / rootRect.height;
+    const width = ratio >= 1 ? 10 : 10 * ratio;
+    const height = ratio >= 1 ? 10 / ratio : 10;
+    return { name: 'DOM_TO_PPTX_AUTO', width, height, builtin: false };
+  }
+
+  const key = layout
+    ? String(layout)
+        .toLowerCase()
+        .replace(/^layout_/, '')
+    : '16x9';
+  // 'auto' without a measurable root keeps the default size
+  const preset = SLIDE_LAYOUTS[key === 'auto' ? '16x9' : key];
+  if (!preset) throw new Error(`Unknown layout "${layout}".`);
+  return {
+    name: preset.name || `DOM_TO_PPTX_${key.toUpperCase().replace(/-/g, '_')}`,
+    width: preset.width,
+    height: preset.height,
+    builtin: !!preset.name,
+  };
+}
+
+/**
+ * Computes the px-inch scale factors for a fit mode.
+ * `scale` is the uniform factor used for font sizes, strokes and shadows; `scaleX`/`scaleY`
+ * only differ from it in 'stretch' mode.
+ */
+export function getFitScale(fit, slideW, slideH, contentW, contentH) {
+  const sx = slideW / contentW;
+  const sy = slideH / contentH;
+
+  if (fit === 'stretch') return { scale: Math.min(sx, sy), scaleX: sx, scaleY: sy };
+
+  let scale;
+  if (fit === 'cover') scale = Math.max(sx, sy);
+  else if (fit === 'none') scale = 1;
+  else scale = Math.min(sx, sy);
+
+  return { scale, scaleX: scale, scaleY: scale };
+}